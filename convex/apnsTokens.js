@@ -0,0 +1,75 @@
+import { internalMutation, internalQuery } from "./_generated/server";
+import { v } from "convex/values";
+
+/** The stored provider token for an APNs key, or null. */
+async function storedToken(ctx, { keyId, teamId }) {
+    return ctx.db
+        .query("apnsProviderTokens")
+        .withIndex("by_key", (q) => q.eq("keyId", keyId).eq("teamId", teamId))
+        .unique();
+}
+
+// ─── APNs Provider Tokens ────────────────────────────────────────────
+
+/**
+ * The cached APNs provider token (JWT) for a key, if it was issued after
+ * `minIssuedAt`. Returns the token or null.
+ */
+export const getProviderToken = internalQuery({
+    args: {
+        keyId: v.string(),
+        teamId: v.string(),
+        minIssuedAt: v.number(),
+    },
+    handler: async (ctx, args) => {
+        const stored = await storedToken(ctx, args);
+        return stored && stored.issuedAt >= args.minIssuedAt ? stored.token : null;
+    },
+});
+
+/**
+ * Cache a freshly signed provider token, unless another push batch stored one
+ * issued after `minIssuedAt` first. Push batches run side by side, and APNs
+ * rejects keys whose token changes too often, so every batch ends up with the
+ * same token.
+ * Returns the token to use.
+ */
+export const storeProviderToken = internalMutation({
+    args: {
+        keyId: v.string(),
+        teamId: v.string(),
+        token: v.string(),
+        issuedAt: v.number(),
+        minIssuedAt: v.number(),
+    },
+    handler: async (ctx, args) => {
+        const stored = await storedToken(ctx, args);
+        if (stored && stored.issuedAt >= args.minIssuedAt) return stored.token;
+
+        const row = { keyId: args.keyId, teamId: args.teamId, token: args.token, issuedAt: args.issuedAt };
+        if (stored) {
+            await ctx.db.replace(stored._id, row);
+        } else {
+            await ctx.db.insert("apnsProviderTokens", row);
+        }
+        return args.token;
+    },
+});
+
+/**
+ * Drop a cached provider token that APNs rejected, so the next batch signs a
+ * new one. Does nothing if it was already replaced.
+ */
+export const clearProviderToken = internalMutation({
+    args: {
+        keyId: v.string(),
+        teamId: v.string(),
+        token: v.string(),
+    },
+    handler: async (ctx, args) => {
+        const stored = await storedToken(ctx, args);
+        if (stored && stored.token === args.token) {
+            await ctx.db.delete(stored._id);
+        }
+    },
+});
@@ -0,0 +1,307 @@
+import { internalAction, internalMutation, internalQuery } from "./_generated/server";
+import { internal } from "./_generated/api";
+import { v } from "convex/values";
+import { paginationOptsValidator } from "convex/server";
+import { getWorkerClient } from "./workerClient";
+import { sealedValue } from "./schema";
+
+// How long a pass's CBORD PIN outlives its last registration. Covers a pass
+// being removed and re-added, or a phone being restored from backup.
+const DEFAULT_REVOKE_GRACE_PERIOD_HOURS = 72;
+
+// Attempts at a revocation the Worker couldn't carry out, with the delay
+// doubling after each. Passes still holding their PIN after the last one are
+// picked up by the daily cleanup (gc.js).
+const MAX_REVOKE_ATTEMPTS = 5;
+const REVOKE_RETRY_BASE_DELAY_MS = 15 * 60 * 1000;
+
+// Passes sent to the Worker per /internal/rewrapCredentials call.
+const ROTATION_BATCH_SIZE = 50;
+
+// Passes sent per /internal/reissueLegacyCredentials call. Each legacy pass
+// costs a few GET calls, so this matches the change-detection batch size.
+const REISSUE_BATCH_SIZE = 8;
+
+// Cached sessions deleted per mutation when rotating.
+const SESSION_DELETE_BATCH_SIZE = 200;
+
+/**
+ * Whether a pass has CBORD credentials stored, encrypted or legacy plaintext.
+ */
+export function hasStoredCredentials(pass) {
+    return Boolean(pass.credentials || (pass.cbordDeviceId && pass.cbordPin));
+}
+
+/**
+ * Grace period before an orphaned pass's PIN is revoked, in ms, from the
+ * optional REVOKE_GRACE_PERIOD_HOURS env var.
+ */
+export function revokeGracePeriodMs() {
+    const hours = parseFloat(process.env.REVOKE_GRACE_PERIOD_HOURS);
+    return (Number.isNaN(hours) || hours < 0 ? DEFAULT_REVOKE_GRACE_PERIOD_HOURS : hours) * 60 * 60 * 1000;
+}
+
+// ─── PIN Revocation ──────────────────────────────────────────────────
+
+/**
+ * Look up a pass whose credentials are due for revocation: it still has
+ * credentials, has had no registrations for the whole grace period, and
+ * hasn't been re-added since.
+ * Returns { passTypeIdentifier, serialNumber } or null.
+ */
+export const getOrphanedPass = internalQuery({
+    args: {
+        passId: v.id("passes"),
+    },
+    handler: async (ctx, args) => {
+        const pass = await ctx.db.get(args.passId);
+        if (!pass || !pass.orphanedAt || !hasStoredCredentials(pass)) return null;
+        if (pass.orphanedAt + revokeGracePeriodMs() > Date.now()) return null;
+
+        const registration = await ctx.db
+            .query("registrations")
+            .withIndex("by_pass", (q) => q.eq("passId", pass._id))
+            .first();
+        if (registration) return null;
+
+        return {
+            passTypeIdentifier: pass.passTypeIdentifier,
+            serialNumber: pass.serialNumber,
+        };
+    },
+});
+
+/**
+ * Wipe a pass's stored CBORD credentials (the Worker has already dropped
+ * their cached GET session). The pass record itself stays, so a copy of the
+ * pass that turns up again gets the re-link pass instead of an error.
+ */
+export const clearPassCredentials = internalMutation({
+    args: {
+        passId: v.id("passes"),
+    },
+    handler: async (ctx, args) => {
+        const pass = await ctx.db.get(args.passId);
+        if (!pass) return { cleared: false };
+
+        await ctx.db.patch(pass._id, {
+            credentials: undefined,
+            cbordDeviceId: undefined,
+            cbordPin: undefined,
+            orphanedAt: undefined,
+        });
+        return { cleared: true };
+    },
+});
+
+/**
+ * Revoke an orphaned pass's CBORD PIN if it is still due (see getOrphanedPass):
+ * the Worker deletes the PIN on GET, then the stored credentials are wiped.
+ * Called from actions.
+ * @returns {Promise<{revoked:boolean, failed:boolean}>} failed if the pass
+ *   was due but the Worker couldn't revoke it
+ */
+export async function revokeOrphan(ctx, passId) {
+    const pass = await ctx.runQuery(internal.credentials.getOrphanedPass, { passId });
+    if (!pass) return { revoked: false, failed: false };
+
+    const result = await getWorkerClient()
+        .revokeCredentials(pass)
+        .catch((err) => ({ revoked: false, error: err.message }));
+    if (!result.revoked) {
+        console.error(`[Revoke] Worker could not revoke serial=${pass.serialNumber}: ${result.error}`);
+        return { revoked: false, failed: true };
+    }
+
+    await ctx.runMutation(internal.credentials.clearPassCredentials, { passId });
+    console.log(`[Revoke] Revoked CBORD PIN for serial=${pass.serialNumber}`);
+    return { revoked: true, failed: false };
+}
+
+/**
+ * Revoke the CBORD PIN of a pass that is no longer on any device.
+ * Scheduled by unregisterDevice when the last registration goes away; does
+ * nothing if the pass was re-added in the meantime. A failed attempt is
+ * rescheduled with backoff, up to MAX_REVOKE_ATTEMPTS.
+ */
+export const revokeOrphanedCredentials = internalAction({
+    args: {
+        passId: v.id("passes"),
+        attempt: v.optional(v.number()),
+    },
+    handler: async (ctx, args) => {
+        const attempt = args.attempt ?? 1;
+        const { revoked, failed } = await revokeOrphan(ctx, args.passId);
+
+        if (failed && attempt < MAX_REVOKE_ATTEMPTS) {
+            await ctx.scheduler.runAfter(
+                REVOKE_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1),
+                internal.credentials.revokeOrphanedCredentials,
+                { passId: args.passId, attempt: attempt + 1 }
+            );
+        }
+        return { revoked };
+    },
+});
+
+// ─── Key Rotation ────────────────────────────────────────────────────
+
+/**
+ * One page of passes with stored credentials, as the Worker needs them to
+ * re-encrypt: encrypted credentials, or legacy plaintext for rows from before
+ * encryption.
+ */
+export const listStoredCredentials = internalQuery({
+    args: {
+        paginationOpts: paginationOptsValidator,
+    },
+    handler: async (ctx, args) => {
+        const result = await ctx.db.query("passes").paginate(args.paginationOpts);
+        return {
+            ...result,
+            page: result.page.filter(hasStoredCredentials).map((pass) => ({
+                passId: pass._id,
+                passTypeIdentifier: pass.passTypeIdentifier,
+                serialNumber: pass.serialNumber,
+                credentials: pass.credentials ?? null,
+                cbordDeviceId: pass.cbordDeviceId ?? null,
+                cbordPin: pass.cbordPin ?? null,
+            })),
+        };
+    },
+});
+
+/**
+ * Store new encrypted credentials (re-wrapped or reissued) and drop any
+ * legacy plaintext copy. Reissued credentials are stored by the Worker, via
+ * authenticated HTTP endpoint.
+ */
+export const storeRotatedCredentials = internalMutation({
+    args: {
+        updates: v.array(
+            v.object({
+                passId: v.id("passes"),
+                credentials: sealedValue,
+            })
+        ),
+    },
+    handler: async (ctx, args) => {
+        for (const { passId, credentials } of args.updates) {
+            if (!(await ctx.db.get(passId))) continue;
+            await ctx.db.patch(passId, {
+                credentials,
+                cbordDeviceId: undefined,
+                cbordPin: undefined,
+            });
+        }
+    },
+});
+
+/**
+ * Delete a batch of cached GET sessions. Session keys are derived from the
+ * current key, so after a rotation every cached session is unreachable anyway.
+ * Returns { deleted, isDone }.
+ */
+export const clearSessionCache = internalMutation({
+    args: {},
+    handler: async (ctx) => {
+        const sessions = await ctx.db.query("sessions").take(SESSION_DELETE_BATCH_SIZE);
+        await Promise.all(sessions.map((s) => ctx.db.delete(s._id)));
+        return { deleted: sessions.length, isDone: sessions.length < SESSION_DELETE_BATCH_SIZE };
+    },
+});
+
+/**
+ * Re-encrypt every stored credential with the Worker's current key version,
+ * encrypting legacy plaintext rows on the way, then clear the session cache.
+ * Run after changing CREDENTIALS_KEY_VERSION on the Worker:
+ *
+ *   npx convex run credentials:rotateCredentials
+ *
+ * Safe to re-run; rows already on the current version are left alone.
+ * Returns { scanned, updated, sessionsCleared }.
+ */
+export const rotateCredentials = internalAction({
+    args: {},
+    handler: async (ctx) => {
+        const worker = getWorkerClient();
+        let scanned = 0;
+        let updated = 0;
+        let cursor = null;
+
+        for (;;) {
+            const { page, isDone, continueCursor } = await ctx.runQuery(
+                internal.credentials.listStoredCredentials,
+                { paginationOpts: { numItems: ROTATION_BATCH_SIZE, cursor } }
+            );
+
+            if (page.length > 0) {
+                const updates = await worker.rewrapCredentials(page);
+                if (updates.length > 0) {
+                    await ctx.runMutation(internal.credentials.storeRotatedCredentials, { updates });
+                }
+                scanned += page.length;
+                updated += updates.length;
+            }
+
+            if (isDone) break;
+            cursor = continueCursor;
+        }
+
+        let sessionsCleared = 0;
+        for (;;) {
+            const { deleted, isDone } = await ctx.runMutation(internal.credentials.clearSessionCache);
+            sessionsCleared += deleted;
+            if (isDone) break;
+        }
+
+        console.log(`[Rotate] Scanned ${scanned} passes, re-encrypted ${updated}, cleared ${sessionsCleared} cached sessions`);
+        return { scanned, updated, sessionsCleared };
+    },
+});
+
+// ─── Legacy Serial Migration ─────────────────────────────────────────
+
+/**
+ * Passes issued before random serial numbers use their CBORD deviceId as the
+ * serial, so the deviceId shows up in Wallet URLs and logs. Ask the Worker to
+ * give each of them a new deviceId + PIN and retire the old one; the installed
+ * pass keeps its serial and keeps working. Run once after deploying:
+ *
+ *   npx convex run credentials:reissueLegacyCredentials
+ *
+ * Safe to re-run; passes that already have separate credentials are skipped.
+ * Returns { scanned, reissued, failed }.
+ */
+export const reissueLegacyCredentials = internalAction({
+    args: {},
+    handler: async (ctx) => {
+        const worker = getWorkerClient();
+        let scanned = 0;
+        let reissued = 0;
+        let failed = 0;
+        let cursor = null;
+
+        for (;;) {
+            const { page, isDone, continueCursor } = await ctx.runQuery(
+                internal.credentials.listStoredCredentials,
+                { paginationOpts: { numItems: REISSUE_BATCH_SIZE, cursor } }
+            );
+
+            if (page.length > 0) {
+                // The Worker stores each pass's new credentials itself, before
+                // deleting the old PIN
+                const result = await worker.reissueLegacyCredentials(page);
+                scanned += page.length;
+                reissued += result.reissued;
+                failed += result.failed;
+            }
+
+            if (isDone) break;
+            cursor = continueCursor;
+        }
+
+        console.log(`[Reissue] Scanned ${scanned} passes, reissued ${reissued}, failed ${failed}`);
+        return { scanned, reissued, failed };
+    },
+});
@@ -3,12 +3,22 @@ import { internal } from "./_generated/api";
 
 const crons = cronJobs();
 
-// Send push notifications to all registered devices every 10 seconds.
-// This triggers Apple Wallet to fetch the latest pass data (barcode, balance).
+// Every 10 seconds, check the registered passes that are due for new GET data
+// and push to the devices of passes that changed, so Apple Wallet fetches the
+// latest barcode and balances. How often each pass comes due depends on dining
+// hall hours and recent activity (schedule.js); this is only the finest step.
 crons.interval(
     "push pass updates",
     { seconds: 10 },
     internal.pushNotifications.sendPushNotifications
 );
 
+// Daily at 11:00 UTC (3–4 AM in Santa Cruz), expire passes that never made it
+// into Wallet, drop devices that keep failing and sweep expired rows.
+crons.daily(
+    "collect garbage",
+    { hourUTC: 11, minuteUTC: 0 },
+    internal.gc.collectGarbage
+);
+
 export default crons;
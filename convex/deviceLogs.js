@@ -0,0 +1,128 @@
+import { internalMutation, internalQuery } from "./_generated/server";
+import { v } from "convex/values";
+
+// deviceLogs rows are swept by the daily cleanup (gc.js) after this long.
+const DEVICE_LOG_RETENTION_DAYS = 30;
+
+// Newest log lines kept per pass; older ones are dropped as new ones arrive,
+// so a device stuck in an error loop can't grow a pass's history forever.
+const MAX_LOGS_PER_PASS = 200;
+
+// Lines returned by listDeviceLogs when no limit is given, and at most.
+const DEFAULT_LOG_QUERY_LIMIT = 100;
+const MAX_LOG_QUERY_LIMIT = 500;
+
+// Error categories, first match wins. Wallet's wording comes from its task
+// errors, e.g. "Get pass task (pass type pass.x, serial number y, …)
+// encountered error: Authentication failure".
+const ERROR_CATEGORIES = [
+    ["auth", /authentication failure|response code 401\b/i],
+    ["http", /unexpected response code \d{3}/i],
+    ["network", /could not connect|timed out|network connection|offline|cannot find host|ssl|tls/i],
+    ["malformed", /malformed|invalid|could not be parsed|unable to parse|signature/i],
+    ["unchanged", /remained the same|if-modified-since' header|unchanged pass/i],
+];
+
+const PASS_TYPE_PATTERN = /\b(pass\.[A-Za-z0-9.-]*[A-Za-z0-9])/;
+const SERIAL_PATTERN = /serial number '?([^\s,;)']+)/i;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Pull the pass type, serial number and error category out of one Wallet
+ * log line. Pass type and serial are null if the line doesn't name them.
+ */
+function parseLogEntry(message) {
+    const category = ERROR_CATEGORIES.find(([, pattern]) => pattern.test(message))?.[0] ?? "other";
+    return {
+        passTypeIdentifier: message.match(PASS_TYPE_PATTERN)?.[1] ?? null,
+        serialNumber: message.match(SERIAL_PATTERN)?.[1] ?? null,
+        category,
+    };
+}
+
+// ─── Recording Logs ──────────────────────────────────────────────────
+
+/**
+ * Store the lines of one POST /v1/log request that name a pass we issued.
+ * Internal only — called via authenticated HTTP endpoint.
+ *
+ * /v1/log is unauthenticated, so lines that don't name a known pass type and
+ * serial are not stored (the Worker still prints them), and each pass keeps
+ * only its MAX_LOGS_PER_PASS newest lines. The sender's IP is never stored.
+ * Returns { stored } — the number of lines stored.
+ */
+export const recordDeviceLogs = internalMutation({
+    args: {
+        entries: v.array(v.string()),
+    },
+    handler: async (ctx, args) => {
+        const now = Date.now();
+        const passIds = new Set();
+        let stored = 0;
+
+        for (const message of args.entries) {
+            const { passTypeIdentifier, serialNumber, category } = parseLogEntry(message);
+            if (!passTypeIdentifier || !serialNumber) continue;
+
+            const pass = await ctx.db
+                .query("passes")
+                .withIndex("by_pass_type_and_serial", (q) =>
+                    q.eq("passTypeIdentifier", passTypeIdentifier).eq("serialNumber", serialNumber)
+                )
+                .unique();
+            if (!pass) continue;
+
+            await ctx.db.insert("deviceLogs", {
+                passId: pass._id,
+                passTypeIdentifier,
+                serialNumber,
+                category,
+                message,
+                receivedAt: now,
+                expiresAt: now + DEVICE_LOG_RETENTION_DAYS * DAY_MS,
+            });
+            passIds.add(pass._id);
+            stored++;
+        }
+
+        for (const passId of passIds) {
+            const logs = await ctx.db
+                .query("deviceLogs")
+                .withIndex("by_pass", (q) => q.eq("passId", passId))
+                .order("desc")
+                .take(MAX_LOGS_PER_PASS + args.entries.length);
+            await Promise.all(logs.slice(MAX_LOGS_PER_PASS).map((log) => ctx.db.delete(log._id)));
+        }
+
+        return { stored };
+    },
+});
+
+// ─── Reading Logs ────────────────────────────────────────────────────
+
+/**
+ * The newest Wallet log lines stored for a serial number, newest first.
+ * Internal only — called via authenticated HTTP endpoint.
+ */
+export const listDeviceLogs = internalQuery({
+    args: {
+        serialNumber: v.string(),
+        limit: v.optional(v.number()),
+    },
+    handler: async (ctx, args) => {
+        const limit = Math.min(Math.max(Math.floor(args.limit ?? DEFAULT_LOG_QUERY_LIMIT), 1), MAX_LOG_QUERY_LIMIT);
+        const logs = await ctx.db
+            .query("deviceLogs")
+            .withIndex("by_serial_number", (q) => q.eq("serialNumber", args.serialNumber))
+            .order("desc")
+            .take(limit);
+
+        return logs.map((log) => ({
+            receivedAt: log.receivedAt,
+            passTypeIdentifier: log.passTypeIdentifier,
+            category: log.category,
+            message: log.message,
+        }));
+    },
+});
@@ -0,0 +1,111 @@
+import { internalMutation, internalQuery } from "./_generated/server";
+import { v } from "convex/values";
+
+// Expired tokens cleaned up each time a new one is created.
+const EXPIRED_TOKEN_CLEANUP_BATCH = 20;
+
+// ─── Download Tokens ─────────────────────────────────────────────────
+
+/**
+ * Store a one-time download token (its hash) for a pass.
+ * Internal only — called via authenticated HTTP endpoint.
+ *
+ * Also deletes a few expired tokens, so links that were never used don't pile up.
+ */
+export const createDownloadToken = internalMutation({
+    args: {
+        tokenHash: v.string(),
+        passTypeIdentifier: v.string(),
+        serialNumber: v.string(),
+        expiresAt: v.number(),
+    },
+    handler: async (ctx, args) => {
+        const pass = await ctx.db
+            .query("passes")
+            .withIndex("by_pass_type_and_serial", (q) =>
+                q
+                    .eq("passTypeIdentifier", args.passTypeIdentifier)
+                    .eq("serialNumber", args.serialNumber)
+            )
+            .unique();
+
+        if (!pass) throw new Error("Cannot create a download token for an unknown pass");
+
+        await ctx.db.insert("downloadTokens", {
+            tokenHash: args.tokenHash,
+            passId: pass._id,
+            expiresAt: args.expiresAt,
+        });
+
+        const expired = await ctx.db
+            .query("downloadTokens")
+            .withIndex("by_expires_at", (q) => q.lt("expiresAt", Date.now()))
+            .take(EXPIRED_TOKEN_CLEANUP_BATCH);
+        await Promise.all(expired.map((t) => ctx.db.delete(t._id)));
+
+        return { ok: true };
+    },
+});
+
+/** The download token row for a token hash, or null. */
+function findToken(ctx, tokenHash) {
+    return ctx.db
+        .query("downloadTokens")
+        .withIndex("by_token_hash", (q) => q.eq("tokenHash", tokenHash))
+        .unique();
+}
+
+/**
+ * The pass a still-valid token downloads, or null if the token has expired or
+ * its pass is gone.
+ */
+async function tokenPass(ctx, token) {
+    if (token.expiresAt <= Date.now()) return null;
+
+    const pass = await ctx.db.get(token.passId);
+    if (!pass) return null;
+    return {
+        passTypeIdentifier: pass.passTypeIdentifier,
+        serialNumber: pass.serialNumber,
+        authenticationToken: pass.authenticationToken,
+    };
+}
+
+/**
+ * Look up the pass behind a download token without using it up, so the
+ * Worker can build the pass first and only then consume the token.
+ * Internal only — called via authenticated HTTP endpoint.
+ *
+ * Returns { passTypeIdentifier, serialNumber, authenticationToken }, or null
+ * if the token is unknown, used or expired.
+ */
+export const getDownloadToken = internalQuery({
+    args: {
+        tokenHash: v.string(),
+    },
+    handler: async (ctx, args) => {
+        const token = await findToken(ctx, args.tokenHash);
+        return token ? tokenPass(ctx, token) : null;
+    },
+});
+
+/**
+ * Use up a download token.
+ * Internal only — called via authenticated HTTP endpoint.
+ *
+ * The token is deleted whether or not it is still valid, so it can never be
+ * replayed. Returns { passTypeIdentifier, serialNumber, authenticationToken },
+ * or null if the token is unknown, used or expired.
+ */
+export const consumeDownloadToken = internalMutation({
+    args: {
+        tokenHash: v.string(),
+    },
+    handler: async (ctx, args) => {
+        const token = await findToken(ctx, args.tokenHash);
+        if (!token) return null;
+
+        await ctx.db.delete(token._id);
+        return tokenPass(ctx, token);
+    },
+});
@@ -0,0 +1,383 @@
+import { internalAction, internalMutation, internalQuery } from "./_generated/server";
+import { internal } from "./_generated/api";
+import { v } from "convex/values";
+import { paginationOptsValidator } from "convex/server";
+import { getWorkerClient } from "./workerClient";
+import { hasStoredCredentials, revokeGracePeriodMs, revokeOrphan } from "./credentials";
+import { deleteDevice, PLACEHOLDER_DEVICE_ID } from "./registrations";
+import { deletePassRecords } from "./manage";
+
+// How long a downloaded pass may go without ever being added to Wallet before
+// its PIN is revoked and the pass deleted. Covers a user who downloads on a
+// laptop and adds the pass from their phone later.
+const DEFAULT_UNREGISTERED_PASS_TTL_HOURS = 24;
+
+// How long a device's pushes may keep failing before it is deleted. Devices
+// also go after MAX_CONSECUTIVE_PUSH_FAILURES (registrations.js); this catches
+// devices that fail rarely but never succeed, e.g. a phone that was wiped.
+const DEFAULT_FAILING_DEVICE_TTL_DAYS = 7;
+
+// Passes scanned per query, and expired per run. Each expiry costs a few GET
+// calls through the Worker, so a backlog is worked off over several runs.
+const PASS_SCAN_BATCH_SIZE = 100;
+const MAX_EXPIRED_PASSES_PER_RUN = 50;
+
+// Orphaned passes are left to their scheduled revocation retries (a few hours)
+// for this long past the grace period, then retried here, at most this many
+// per run.
+const ORPHAN_SWEEP_DELAY_HOURS = 24;
+const MAX_ORPHAN_REVOCATIONS_PER_RUN = 50;
+
+// Rows deleted per mutation.
+const DELETE_BATCH_SIZE = 100;
+
+// gcRuns rows older than this are deleted.
+const GC_RUN_RETENTION_DAYS = 90;
+
+/**
+ * Read a positive number from a Convex env var, or the default.
+ */
+function envNumber(name, defaultValue) {
+    const value = parseFloat(process.env[name]);
+    return Number.isNaN(value) || value <= 0 ? defaultValue : value;
+}
+
+// ─── Unregistered Passes ─────────────────────────────────────────────
+
+/**
+ * One page of passes that were downloaded but never added to Wallet: they
+ * still have credentials, no registrations, aren't waiting on an orphan
+ * revocation, and haven't been re-downloaded since `cutoff`.
+ */
+export const listUnregisteredPasses = internalQuery({
+    args: {
+        paginationOpts: paginationOptsValidator,
+        cutoff: v.number(),
+    },
+    handler: async (ctx, args) => {
+        const result = await ctx.db.query("passes").paginate(args.paginationOpts);
+
+        const page = [];
+        for (const pass of result.page) {
+            if (pass.lastUpdated >= args.cutoff || pass.orphanedAt || !hasStoredCredentials(pass)) continue;
+
+            const registration = await ctx.db
+                .query("registrations")
+                .withIndex("by_pass", (q) => q.eq("passId", pass._id))
+                .first();
+            if (registration) continue;
+
+            page.push({
+                passId: pass._id,
+                passTypeIdentifier: pass.passTypeIdentifier,
+                serialNumber: pass.serialNumber,
+            });
+        }
+
+        return { ...result, page };
+    },
+});
+
+/**
+ * Delete a never-registered pass whose PIN the Worker has revoked. Checks
+ * again that it is still unregistered and untouched since `cutoff`, in case
+ * it was added to Wallet or re-downloaded while the PIN was being revoked.
+ * Returns { deleted: boolean }.
+ */
+export const deleteUnregisteredPass = internalMutation({
+    args: {
+        passId: v.id("passes"),
+        cutoff: v.number(),
+    },
+    handler: async (ctx, args) => {
+        const pass = await ctx.db.get(args.passId);
+        if (!pass || pass.lastUpdated >= args.cutoff) return { deleted: false };
+
+        const registration = await ctx.db
+            .query("registrations")
+            .withIndex("by_pass", (q) => q.eq("passId", pass._id))
+            .first();
+        if (registration) return { deleted: false };
+
+        await deletePassRecords(ctx, pass);
+        return { deleted: true };
+    },
+});
+
+// ─── Orphaned Passes ─────────────────────────────────────────────────
+
+/**
+ * One page of passes that left their last device before `cutoff` and still
+ * hold credentials: every scheduled attempt to revoke their PIN failed.
+ */
+export const listOverdueOrphans = internalQuery({
+    args: {
+        paginationOpts: paginationOptsValidator,
+        cutoff: v.number(),
+    },
+    handler: async (ctx, args) => {
+        // Passes that were never orphaned have no orphanedAt and sort before 0
+        const result = await ctx.db
+            .query("passes")
+            .withIndex("by_orphaned_at", (q) => q.gte("orphanedAt", 0).lt("orphanedAt", args.cutoff))
+            .paginate(args.paginationOpts);
+
+        return { ...result, page: result.page.filter(hasStoredCredentials).map((pass) => pass._id) };
+    },
+});
+
+// ─── Devices ─────────────────────────────────────────────────────────
+
+/**
+ * Delete a batch of devices whose current run of failed pushes started
+ * before `cutoff`, with their registrations.
+ * Returns { deleted, isDone }.
+ */
+export const deleteFailingDevices = internalMutation({
+    args: {
+        cutoff: v.number(),
+    },
+    handler: async (ctx, args) => {
+        // Devices that never failed have no firstFailureAt and sort before 0
+        const devices = await ctx.db
+            .query("devices")
+            .withIndex("by_first_failure_at", (q) => q.gte("firstFailureAt", 0).lt("firstFailureAt", args.cutoff))
+            .take(DELETE_BATCH_SIZE);
+
+        for (const device of devices) {
+            await deleteDevice(ctx, device._id);
+        }
+        return { deleted: devices.length, isDone: devices.length < DELETE_BATCH_SIZE };
+    },
+});
+
+/**
+ * Delete the placeholder "initial-download" devices old versions registered
+ * when a pass was downloaded, with their registrations. They have no real
+ * push token, so every push to them fails.
+ * Returns { deleted }.
+ */
+export const deletePlaceholderDevices = internalMutation({
+    args: {},
+    handler: async (ctx) => {
+        const devices = await ctx.db
+            .query("devices")
+            .withIndex("by_device_lib_id", (q) => q.eq("deviceLibraryIdentifier", PLACEHOLDER_DEVICE_ID))
+            .collect();
+
+        for (const device of devices) {
+            await deleteDevice(ctx, device._id);
+        }
+        return { deleted: devices.length };
+    },
+});
+
+// ─── Expired Rows ────────────────────────────────────────────────────
+
+/**
+ * Delete a batch of expired rows from a table with a by_expires_at index.
+ * Download tokens and rate limit counters are also cleaned up as they are
+ * written; this catches the rest.
+ * Returns { deleted, isDone }.
+ */
+export const deleteExpiredRows = internalMutation({
+    args: {
+        table: v.union(
+            v.literal("sessions"),
+            v.literal("downloadTokens"),
+            v.literal("rateLimits"),
+            v.literal("pushRuns"),
+            v.literal("deviceLogs")
+        ),
+    },
+    handler: async (ctx, args) => {
+        const rows = await ctx.db
+            .query(args.table)
+            .withIndex("by_expires_at", (q) => q.lt("expiresAt", Date.now()))
+            .take(DELETE_BATCH_SIZE);
+
+        await Promise.all(rows.map((row) => ctx.db.delete(row._id)));
+        return { deleted: rows.length, isDone: rows.length < DELETE_BATCH_SIZE };
+    },
+});
+
+// ─── Runs ────────────────────────────────────────────────────────────
+
+/**
+ * Record a garbage collection run and drop runs past the retention period.
+ */
+export const recordGcRun = internalMutation({
+    args: {
+        startedAt: v.number(),
+        finishedAt: v.number(),
+        expiredPasses: v.number(),
+        revokeFailures: v.number(),
+        revokedOrphans: v.number(),
+        orphanRevokeFailures: v.number(),
+        failingDevices: v.number(),
+        placeholderDevices: v.number(),
+        expiredSessions: v.number(),
+        expiredDownloadTokens: v.number(),
+        expiredRateLimits: v.number(),
+        expiredPushRuns: v.number(),
+        expiredDeviceLogs: v.number(),
+    },
+    handler: async (ctx, args) => {
+        await ctx.db.insert("gcRuns", args);
+
+        const retentionCutoff = Date.now() - GC_RUN_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        const oldRuns = await ctx.db
+            .query("gcRuns")
+            .withIndex("by_started_at", (q) => q.lt("startedAt", retentionCutoff))
+            .take(DELETE_BATCH_SIZE);
+        await Promise.all(oldRuns.map((run) => ctx.db.delete(run._id)));
+    },
+});
+
+/**
+ * Run a batched delete mutation until it reports it is done.
+ * @returns {Promise<number>} rows deleted
+ */
+async function deleteInBatches(ctx, mutation, args) {
+    let total = 0;
+    for (;;) {
+        const { deleted, isDone } = await ctx.runMutation(mutation, args);
+        total += deleted;
+        if (isDone) return total;
+    }
+}
+
+/**
+ * Expire passes that were never added to Wallet: the Worker revokes each
+ * one's PIN, then the pass is deleted. A pass whose PIN can't be revoked is
+ * kept and retried on the next run.
+ * @returns {Promise<{expiredPasses:number, revokeFailures:number}>}
+ */
+async function expireUnregisteredPasses(ctx, cutoff) {
+    const worker = getWorkerClient();
+    let expiredPasses = 0;
+    let revokeFailures = 0;
+    let cursor = null;
+
+    for (;;) {
+        const { page, isDone, continueCursor } = await ctx.runQuery(internal.gc.listUnregisteredPasses, {
+            paginationOpts: { numItems: PASS_SCAN_BATCH_SIZE, cursor },
+            cutoff,
+        });
+
+        for (const pass of page) {
+            if (expiredPasses + revokeFailures >= MAX_EXPIRED_PASSES_PER_RUN) {
+                return { expiredPasses, revokeFailures };
+            }
+
+            const result = await worker
+                .revokeCredentials({ passTypeIdentifier: pass.passTypeIdentifier, serialNumber: pass.serialNumber })
+                .catch((err) => ({ revoked: false, error: err.message }));
+            if (!result.revoked) {
+                console.error(`[GC] Could not revoke serial=${pass.serialNumber}: ${result.error}`);
+                revokeFailures++;
+                continue;
+            }
+
+            const { deleted } = await ctx.runMutation(internal.gc.deleteUnregisteredPass, {
+                passId: pass.passId,
+                cutoff,
+            });
+            if (deleted) expiredPasses++;
+        }
+
+        if (isDone) return { expiredPasses, revokeFailures };
+        cursor = continueCursor;
+    }
+}
+
+/**
+ * Retry revoking the PIN of passes whose scheduled revocation gave up (see
+ * credentials.js). Passes that still fail are retried on the next run.
+ * @returns {Promise<{revokedOrphans:number, orphanRevokeFailures:number}>}
+ */
+async function revokeOverdueOrphans(ctx, cutoff) {
+    let revokedOrphans = 0;
+    let orphanRevokeFailures = 0;
+    let cursor = null;
+
+    for (;;) {
+        const { page, isDone, continueCursor } = await ctx.runQuery(internal.gc.listOverdueOrphans, {
+            paginationOpts: { numItems: PASS_SCAN_BATCH_SIZE, cursor },
+            cutoff,
+        });
+
+        for (const passId of page) {
+            if (revokedOrphans + orphanRevokeFailures >= MAX_ORPHAN_REVOCATIONS_PER_RUN) {
+                return { revokedOrphans, orphanRevokeFailures };
+            }
+            const { revoked, failed } = await revokeOrphan(ctx, passId);
+            if (revoked) revokedOrphans++;
+            if (failed) orphanRevokeFailures++;
+        }
+
+        if (isDone) return { revokedOrphans, orphanRevokeFailures };
+        cursor = continueCursor;
+    }
+}
+
+/**
+ * Daily cleanup (see crons.js):
+ * - passes downloaded but never added to Wallet within UNREGISTERED_PASS_TTL_HOURS
+ *   (default 24) get their PIN revoked and are deleted
+ * - devices whose pushes have kept failing for FAILING_DEVICE_TTL_DAYS
+ *   (default 7) are deleted, as are old "initial-download" placeholder devices
+ * - passes off every device for a day past the revocation grace period that
+ *   still hold a PIN (their scheduled revocation kept failing) are revoked
+ * - expired cached sessions, download tokens, rate limit counters, push run
+ *   metrics and Wallet device logs are swept
+ *
+ * Each run is recorded in gcRuns. Also safe to run by hand:
+ *
+ *   npx convex run gc:collectGarbage
+ */
+export const collectGarbage = internalAction({
+    args: {},
+    handler: async (ctx) => {
+        const startedAt = Date.now();
+        const passCutoff = startedAt - envNumber("UNREGISTERED_PASS_TTL_HOURS", DEFAULT_UNREGISTERED_PASS_TTL_HOURS) * 60 * 60 * 1000;
+        const deviceCutoff = startedAt - envNumber("FAILING_DEVICE_TTL_DAYS", DEFAULT_FAILING_DEVICE_TTL_DAYS) * 24 * 60 * 60 * 1000;
+        const orphanCutoff = startedAt - revokeGracePeriodMs() - ORPHAN_SWEEP_DELAY_HOURS * 60 * 60 * 1000;
+
+        const { deleted: placeholderDevices } = await ctx.runMutation(internal.gc.deletePlaceholderDevices);
+        const failingDevices = await deleteInBatches(ctx, internal.gc.deleteFailingDevices, { cutoff: deviceCutoff });
+        const { expiredPasses, revokeFailures } = await expireUnregisteredPasses(ctx, passCutoff);
+        const { revokedOrphans, orphanRevokeFailures } = await revokeOverdueOrphans(ctx, orphanCutoff);
+
+        const expiredSessions = await deleteInBatches(ctx, internal.gc.deleteExpiredRows, { table: "sessions" });
+        const expiredDownloadTokens = await deleteInBatches(ctx, internal.gc.deleteExpiredRows, { table: "downloadTokens" });
+        const expiredRateLimits = await deleteInBatches(ctx, internal.gc.deleteExpiredRows, { table: "rateLimits" });
+        const expiredPushRuns = await deleteInBatches(ctx, internal.gc.deleteExpiredRows, { table: "pushRuns" });
+        const expiredDeviceLogs = await deleteInBatches(ctx, internal.gc.deleteExpiredRows, { table: "deviceLogs" });
+
+        const run = {
+            startedAt,
+            finishedAt: Date.now(),
+            expiredPasses,
+            revokeFailures,
+            revokedOrphans,
+            orphanRevokeFailures,
+            failingDevices,
+            placeholderDevices,
+            expiredSessions,
+            expiredDownloadTokens,
+            expiredRateLimits,
+            expiredPushRuns,
+            expiredDeviceLogs,
+        };
+        await ctx.runMutation(internal.gc.recordGcRun, run);
+
+        console.log(
+            `[GC] Expired ${expiredPasses} unregistered passes (${revokeFailures} left for next run), ` +
+            `revoked ${revokedOrphans} overdue orphaned passes (${orphanRevokeFailures} left for next run), ` +
+            `deleted ${failingDevices} failing and ${placeholderDevices} placeholder devices, ` +
+            `swept ${expiredSessions} sessions, ${expiredDownloadTokens} download tokens, ${expiredRateLimits} rate limit counters, ${expiredPushRuns} push runs, ${expiredDeviceLogs} device log lines`
+        );
+        return run;
+    },
+});
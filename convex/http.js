@@ -79,7 +79,7 @@ const getPassesForDevice = httpAction(async (ctx, request) => {
         );
     }
 
-    const result = await ctx.runQuery(
+    const result = await ctx.runMutation(
         internal.registrations.getPassesForDevice,
         {
             deviceLibraryIdentifier,
@@ -146,8 +146,8 @@ const upsertPass = httpAction(async (ctx, request) => {
         serialNumber: body.serialNumber,
         authenticationToken: body.authenticationToken,
     };
-    if (body.cbordDeviceId) args.cbordDeviceId = body.cbordDeviceId;
-    if (body.cbordPin) args.cbordPin = body.cbordPin;
+    if (body.credentials) args.credentials = body.credentials;
+    if (body.contentHash) args.contentHash = body.contentHash;
 
     const result = await ctx.runMutation(
         internal.registrations.upsertPass,
@@ -218,7 +218,9 @@ const getPassCredentials = httpAction(async (ctx, request) => {
         { passTypeIdentifier, serialNumber }
     );
 
-    return jsonResponse(credentials || { cbordDeviceId: null, cbordPin: null });
+    return jsonResponse(
+        credentials || { credentials: null, cbordDeviceId: null, cbordPin: null, relinkToken: null }
+    );
 });
 
 http.route({
@@ -227,4 +229,530 @@ http.route({
     handler: getPassCredentials,
 });
 
+// ─── Reissued CBORD credentials ──────────────────────────────────────
+
+const storeRotatedCredentials = httpAction(async (ctx, request) => {
+    if (!verifyAuth(request)) {
+        return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    const body = await request.json();
+    await ctx.runMutation(internal.credentials.storeRotatedCredentials, {
+        updates: body.updates,
+    });
+
+    return jsonResponse({ ok: true });
+});
+
+http.route({
+    path: "/api/storeRotatedCredentials",
+    method: "POST",
+    handler: storeRotatedCredentials,
+});
+
+// ─── Per-pass balance tracking ───────────────────────────────────────
+
+const recordBalances = httpAction(async (ctx, request) => {
+    if (!verifyAuth(request)) {
+        return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    const body = await request.json();
+    const changes = await ctx.runMutation(
+        internal.registrations.recordBalances,
+        {
+            passTypeIdentifier: body.passTypeIdentifier,
+            serialNumber: body.serialNumber,
+            balances: body.balances,
+        }
+    );
+
+    return jsonResponse({ changes });
+});
+
+http.route({
+    path: "/api/recordBalances",
+    method: "POST",
+    handler: recordBalances,
+});
+
+// ─── GET session cache ───────────────────────────────────────────────
+
+const getSession = httpAction(async (ctx, request) => {
+    if (!verifyAuth(request)) {
+        return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    const url = new URL(request.url);
+    const sessionKey = url.searchParams.get("sessionKey");
+
+    if (!sessionKey) {
+        return jsonResponse({ error: "sessionKey is required" }, 400);
+    }
+
+    const session = await ctx.runQuery(internal.sessions.getSession, {
+        sessionKey,
+    });
+
+    return jsonResponse({ session });
+});
+
+const storeSession = httpAction(async (ctx, request) => {
+    if (!verifyAuth(request)) {
+        return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    const body = await request.json();
+    const result = await ctx.runMutation(internal.sessions.storeSession, {
+        sessionKey: body.sessionKey,
+        session: body.session,
+        expiresAt: body.expiresAt,
+    });
+
+    return jsonResponse(result);
+});
+
+const clearSession = httpAction(async (ctx, request) => {
+    if (!verifyAuth(request)) {
+        return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    const body = await request.json();
+    const result = await ctx.runMutation(internal.sessions.clearSession, {
+        sessionKey: body.sessionKey,
+    });
+
+    return jsonResponse(result);
+});
+
+http.route({
+    path: "/api/getSession",
+    method: "GET",
+    handler: getSession,
+});
+
+http.route({
+    path: "/api/storeSession",
+    method: "POST",
+    handler: storeSession,
+});
+
+http.route({
+    path: "/api/clearSession",
+    method: "POST",
+    handler: clearSession,
+});
+
+// ─── Change detection ────────────────────────────────────────────────
+
+const recordContentHashes = httpAction(async (ctx, request) => {
+    if (!verifyAuth(request)) {
+        return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    const body = await request.json();
+    const recorded = await ctx.runMutation(
+        internal.registrations.recordContentHashes,
+        { hashes: body.hashes || [], fetched: body.fetched === true }
+    );
+
+    return jsonResponse({
+        passes: recorded.map(({ passTypeIdentifier, serialNumber, changed, lastUpdated }) => ({
+            passTypeIdentifier,
+            serialNumber,
+            changed,
+            lastUpdated,
+        })),
+    });
+});
+
+http.route({
+    path: "/api/recordContentHashes",
+    method: "POST",
+    handler: recordContentHashes,
+});
+
+// ─── Credential re-linking ───────────────────────────────────────────
+
+const markCredentialsInvalid = httpAction(async (ctx, request) => {
+    if (!verifyAuth(request)) {
+        return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    const body = await request.json();
+    const relinkToken = await ctx.runMutation(
+        internal.relink.markCredentialsInvalid,
+        {
+            passTypeIdentifier: body.passTypeIdentifier,
+            serialNumber: body.serialNumber,
+            relinkToken: body.relinkToken,
+        }
+    );
+
+    return jsonResponse({ relinkToken });
+});
+
+const getRelinkPass = httpAction(async (ctx, request) => {
+    if (!verifyAuth(request)) {
+        return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    const url = new URL(request.url);
+    const relinkToken = url.searchParams.get("relinkToken");
+
+    if (!relinkToken) {
+        return jsonResponse({ error: "relinkToken is required" }, 400);
+    }
+
+    const pass = await ctx.runQuery(internal.relink.getRelinkPass, {
+        relinkToken,
+    });
+
+    return jsonResponse({ pass });
+});
+
+const relinkPass = httpAction(async (ctx, request) => {
+    if (!verifyAuth(request)) {
+        return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    const body = await request.json();
+    const pass = await ctx.runMutation(internal.relink.relinkPass, {
+        relinkToken: body.relinkToken,
+        credentials: body.credentials,
+    });
+
+    return jsonResponse({ pass });
+});
+
+http.route({
+    path: "/api/markCredentialsInvalid",
+    method: "POST",
+    handler: markCredentialsInvalid,
+});
+
+http.route({
+    path: "/api/getRelinkPass",
+    method: "GET",
+    handler: getRelinkPass,
+});
+
+http.route({
+    path: "/api/relinkPass",
+    method: "POST",
+    handler: relinkPass,
+});
+
+// ─── GET users ───────────────────────────────────────────────────────
+
+const findUserPass = httpAction(async (ctx, request) => {
+    if (!verifyAuth(request)) {
+        return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    const body = await request.json();
+    const pass = await ctx.runQuery(internal.users.findUserPass, {
+        patronKeys: body.patronKeys || [],
+    });
+
+    return jsonResponse({ pass });
+});
+
+const upsertUser = httpAction(async (ctx, request) => {
+    if (!verifyAuth(request)) {
+        return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    const body = await request.json();
+    const result = await ctx.runMutation(internal.users.upsertUser, {
+        patronKeys: body.patronKeys,
+        passTypeIdentifier: body.passTypeIdentifier,
+        serialNumber: body.serialNumber,
+    });
+
+    return jsonResponse(result);
+});
+
+http.route({
+    path: "/api/findUserPass",
+    method: "POST",
+    handler: findUserPass,
+});
+
+http.route({
+    path: "/api/upsertUser",
+    method: "POST",
+    handler: upsertUser,
+});
+
+// ─── Download tokens ─────────────────────────────────────────────────
+
+const createDownloadToken = httpAction(async (ctx, request) => {
+    if (!verifyAuth(request)) {
+        return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    const body = await request.json();
+    const result = await ctx.runMutation(internal.downloads.createDownloadToken, {
+        tokenHash: body.tokenHash,
+        passTypeIdentifier: body.passTypeIdentifier,
+        serialNumber: body.serialNumber,
+        expiresAt: body.expiresAt,
+    });
+
+    return jsonResponse(result);
+});
+
+const getDownloadToken = httpAction(async (ctx, request) => {
+    if (!verifyAuth(request)) {
+        return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    const url = new URL(request.url);
+    const tokenHash = url.searchParams.get("tokenHash");
+    if (!tokenHash) {
+        return jsonResponse({ error: "tokenHash is required" }, 400);
+    }
+
+    const pass = await ctx.runQuery(internal.downloads.getDownloadToken, { tokenHash });
+    return jsonResponse({ pass });
+});
+
+const consumeDownloadToken = httpAction(async (ctx, request) => {
+    if (!verifyAuth(request)) {
+        return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    const body = await request.json();
+    const pass = await ctx.runMutation(internal.downloads.consumeDownloadToken, {
+        tokenHash: body.tokenHash,
+    });
+
+    return jsonResponse({ pass });
+});
+
+http.route({
+    path: "/api/createDownloadToken",
+    method: "POST",
+    handler: createDownloadToken,
+});
+
+http.route({
+    path: "/api/getDownloadToken",
+    method: "GET",
+    handler: getDownloadToken,
+});
+
+http.route({
+    path: "/api/consumeDownloadToken",
+    method: "POST",
+    handler: consumeDownloadToken,
+});
+
+// ─── Manage page ─────────────────────────────────────────────────────
+
+const ensureManageToken = httpAction(async (ctx, request) => {
+    if (!verifyAuth(request)) {
+        return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    const body = await request.json();
+    const manageToken = await ctx.runMutation(internal.manage.ensureManageToken, {
+        passTypeIdentifier: body.passTypeIdentifier,
+        serialNumber: body.serialNumber,
+        manageToken: body.manageToken,
+    });
+
+    return jsonResponse({ manageToken });
+});
+
+const getManagedPass = httpAction(async (ctx, request) => {
+    if (!verifyAuth(request)) {
+        return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    const url = new URL(request.url);
+    const manageToken = url.searchParams.get("manageToken");
+
+    if (!manageToken) {
+        return jsonResponse({ error: "manageToken is required" }, 400);
+    }
+
+    const pass = await ctx.runQuery(internal.manage.getManagedPass, {
+        manageToken,
+    });
+
+    return jsonResponse({ pass });
+});
+
+const unregisterManagedDevice = httpAction(async (ctx, request) => {
+    if (!verifyAuth(request)) {
+        return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    const body = await request.json();
+    const result = await ctx.runMutation(internal.manage.unregisterManagedDevice, {
+        manageToken: body.manageToken,
+        registrationId: body.registrationId,
+    });
+
+    return jsonResponse(result);
+});
+
+const updateManagedPreferences = httpAction(async (ctx, request) => {
+    if (!verifyAuth(request)) {
+        return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    const body = await request.json();
+    const result = await ctx.runMutation(internal.manage.updateManagedPreferences, {
+        manageToken: body.manageToken,
+        preferences: body.preferences,
+    });
+
+    return jsonResponse(result);
+});
+
+const purgeManagedPass = httpAction(async (ctx, request) => {
+    if (!verifyAuth(request)) {
+        return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    const body = await request.json();
+    const deleted = await ctx.runMutation(internal.manage.purgeManagedPass, {
+        manageToken: body.manageToken,
+        sessionKeys: body.sessionKeys ?? [],
+    });
+
+    return jsonResponse({ deleted });
+});
+
+http.route({
+    path: "/api/ensureManageToken",
+    method: "POST",
+    handler: ensureManageToken,
+});
+
+http.route({
+    path: "/api/getManagedPass",
+    method: "GET",
+    handler: getManagedPass,
+});
+
+http.route({
+    path: "/api/unregisterManagedDevice",
+    method: "POST",
+    handler: unregisterManagedDevice,
+});
+
+http.route({
+    path: "/api/updateManagedPreferences",
+    method: "POST",
+    handler: updateManagedPreferences,
+});
+
+http.route({
+    path: "/api/purgeManagedPass",
+    method: "POST",
+    handler: purgeManagedPass,
+});
+
+// ─── Push metrics ────────────────────────────────────────────────────
+
+// Window used when /api/pushMetrics is called without `since`.
+const DEFAULT_METRICS_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const pushMetrics = httpAction(async (ctx, request) => {
+    if (!verifyAuth(request)) {
+        return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    const url = new URL(request.url);
+    const until = url.searchParams.has("until") ? Number(url.searchParams.get("until")) : Date.now();
+    const since = url.searchParams.has("since") ? Number(url.searchParams.get("since")) : until - DEFAULT_METRICS_WINDOW_MS;
+
+    if (!Number.isFinite(since) || !Number.isFinite(until) || since >= until) {
+        return jsonResponse({ error: "since and until must be epoch ms with since < until" }, 400);
+    }
+
+    const metrics = await ctx.runAction(internal.pushMetrics.getPushMetrics, { since, until });
+
+    return jsonResponse({ metrics });
+});
+
+http.route({
+    path: "/api/pushMetrics",
+    method: "GET",
+    handler: pushMetrics,
+});
+
+// ─── Wallet device logs ──────────────────────────────────────────────
+
+const recordDeviceLogs = httpAction(async (ctx, request) => {
+    if (!verifyAuth(request)) {
+        return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    const body = await request.json();
+    const result = await ctx.runMutation(internal.deviceLogs.recordDeviceLogs, {
+        entries: body.entries,
+    });
+
+    return jsonResponse(result);
+});
+
+const deviceLogs = httpAction(async (ctx, request) => {
+    if (!verifyAuth(request)) {
+        return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    const url = new URL(request.url);
+    const serialNumber = url.searchParams.get("serialNumber");
+    const limit = url.searchParams.has("limit") ? Number(url.searchParams.get("limit")) : undefined;
+
+    if (!serialNumber) {
+        return jsonResponse({ error: "serialNumber is required" }, 400);
+    }
+    if (limit !== undefined && !(limit > 0)) {
+        return jsonResponse({ error: "limit must be a positive number" }, 400);
+    }
+
+    const logs = await ctx.runQuery(internal.deviceLogs.listDeviceLogs, { serialNumber, limit });
+
+    return jsonResponse({ logs });
+});
+
+http.route({
+    path: "/api/recordDeviceLogs",
+    method: "POST",
+    handler: recordDeviceLogs,
+});
+
+http.route({
+    path: "/api/deviceLogs",
+    method: "GET",
+    handler: deviceLogs,
+});
+
+// ─── Rate limits ─────────────────────────────────────────────────────
+
+const hitRateLimits = httpAction(async (ctx, request) => {
+    if (!verifyAuth(request)) {
+        return jsonResponse({ error: "Unauthorized" }, 401);
+    }
+
+    const body = await request.json();
+    const result = await ctx.runMutation(internal.rateLimits.hitRateLimits, {
+        buckets: body.buckets,
+    });
+
+    return jsonResponse(result);
+});
+
+http.route({
+    path: "/api/hitRateLimits",
+    method: "POST",
+    handler: hitRateLimits,
+});
+
 export default http;
@@ -0,0 +1,246 @@
+import { internalMutation, internalQuery } from "./_generated/server";
+import { v } from "convex/values";
+import { removeRegistration } from "./registrations";
+import { preferencesFor, preferencesError } from "./schedule";
+
+/** The pass a manage token belongs to, or null. */
+async function passForManageToken(ctx, manageToken) {
+    return ctx.db
+        .query("passes")
+        .withIndex("by_manage_token", (q) => q.eq("manageToken", manageToken))
+        .unique();
+}
+
+// ─── Manage Tokens ───────────────────────────────────────────────────
+
+/**
+ * Get a pass's manage token, storing `manageToken` if it has none yet.
+ * Internal only — called via authenticated HTTP endpoint.
+ *
+ * Later calls keep the original token so the link on a pass that is already
+ * in Wallet keeps working.
+ * Returns the pass's manage token, or null if the pass doesn't exist.
+ */
+export const ensureManageToken = internalMutation({
+    args: {
+        passTypeIdentifier: v.string(),
+        serialNumber: v.string(),
+        manageToken: v.string(),
+    },
+    handler: async (ctx, args) => {
+        const pass = await ctx.db
+            .query("passes")
+            .withIndex("by_pass_type_and_serial", (q) =>
+                q
+                    .eq("passTypeIdentifier", args.passTypeIdentifier)
+                    .eq("serialNumber", args.serialNumber)
+            )
+            .unique();
+
+        if (!pass) return null;
+        if (pass.manageToken) return pass.manageToken;
+
+        await ctx.db.patch(pass._id, { manageToken: args.manageToken });
+        return args.manageToken;
+    },
+});
+
+// ─── Manage Page ─────────────────────────────────────────────────────
+
+/**
+ * Look up the pass behind a manage token, with the devices it is registered on
+ * and its update preferences.
+ * Internal only — called via authenticated HTTP endpoint.
+ *
+ * Devices are identified to the user only by the end of their Wallet device
+ * library ID; Apple doesn't tell us device names.
+ * Returns null if the token is unknown.
+ */
+export const getManagedPass = internalQuery({
+    args: {
+        manageToken: v.string(),
+    },
+    handler: async (ctx, args) => {
+        const pass = await passForManageToken(ctx, args.manageToken);
+        if (!pass) return null;
+
+        const registrations = await ctx.db
+            .query("registrations")
+            .withIndex("by_pass", (q) => q.eq("passId", pass._id))
+            .collect();
+
+        const devices = [];
+        for (const registration of registrations) {
+            const device = await ctx.db.get(registration.deviceId);
+            if (!device) continue;
+            devices.push({
+                registrationId: registration._id,
+                deviceSuffix: device.deviceLibraryIdentifier.slice(-6),
+                registeredAt: registration._creationTime,
+                lastCheckedAt: device.lastCheckedAt ?? null,
+                failing: (device.failureCount ?? 0) > 0,
+            });
+        }
+
+        return {
+            passId: pass._id,
+            passTypeIdentifier: pass.passTypeIdentifier,
+            serialNumber: pass.serialNumber,
+            authenticationToken: pass.authenticationToken,
+            lastUpdated: pass.lastUpdated,
+            // Part of the signed-pass cache key, so deleting the pass can evict it
+            contentHash: pass.contentHash ?? null,
+            relinkToken: pass.relinkToken ?? null,
+            preferences: preferencesFor(pass),
+            devices,
+        };
+    },
+});
+
+/**
+ * Remove one device from the pass behind a manage token.
+ * Internal only — called via authenticated HTTP endpoint.
+ *
+ * The device keeps the pass in Wallet but stops getting updates. Removing the
+ * last device schedules the CBORD PIN for revocation, as if it had been
+ * deleted in Wallet.
+ * Returns { deleted: boolean }.
+ */
+export const unregisterManagedDevice = internalMutation({
+    args: {
+        manageToken: v.string(),
+        // Comes from a form field, so it is checked rather than trusted
+        registrationId: v.string(),
+    },
+    handler: async (ctx, args) => {
+        const pass = await passForManageToken(ctx, args.manageToken);
+        if (!pass) return { deleted: false };
+
+        const registrationId = ctx.db.normalizeId("registrations", args.registrationId);
+        const registration = registrationId ? await ctx.db.get(registrationId) : null;
+        if (!registration || registration.passId !== pass._id) return { deleted: false };
+
+        await removeRegistration(ctx, registration);
+        return { deleted: true };
+    },
+});
+
+/**
+ * Save the update preferences of the pass behind a manage token and check it
+ * again on the next tick, so the new preferences take effect right away.
+ * Internal only — called via authenticated HTTP endpoint.
+ *
+ * Preferences come from a form, so they are checked rather than trusted.
+ * Returns { updated: boolean, error?: string } — error is shown to the user.
+ */
+export const updateManagedPreferences = internalMutation({
+    args: {
+        manageToken: v.string(),
+        preferences: v.object({
+            frequency: v.string(),
+            quietStart: v.optional(v.string()),
+            quietEnd: v.optional(v.string()),
+            paused: v.boolean(),
+        }),
+    },
+    handler: async (ctx, args) => {
+        const pass = await passForManageToken(ctx, args.manageToken);
+        if (!pass) return { updated: false };
+
+        const error = preferencesError(args.preferences);
+        if (error) return { updated: false, error };
+
+        await ctx.db.patch(pass._id, { preferences: args.preferences, nextCheckAt: Date.now() });
+        return { updated: true };
+    },
+});
+
+// ─── Deleting a Pass ─────────────────────────────────────────────────
+
+/**
+ * Delete a pass and everything stored for it: registrations, devices left
+ * without passes, its user link, pending download tokens, stored Wallet device
+ * logs and the cached GET sessions under `sessionKeys`. The caller revokes the CBORD PIN first.
+ * Returns how many rows of each kind were deleted.
+ */
+export async function deletePassRecords(ctx, pass, sessionKeys = []) {
+    const deleted = { registrations: 0, devices: 0, users: 0, downloadTokens: 0, deviceLogs: 0, sessions: 0 };
+
+    const registrations = await ctx.db
+        .query("registrations")
+        .withIndex("by_pass", (q) => q.eq("passId", pass._id))
+        .collect();
+    for (const registration of registrations) {
+        await ctx.db.delete(registration._id);
+        deleted.registrations++;
+
+        const remaining = await ctx.db
+            .query("registrations")
+            .withIndex("by_device", (q) => q.eq("deviceId", registration.deviceId))
+            .first();
+        if (!remaining && (await ctx.db.get(registration.deviceId))) {
+            await ctx.db.delete(registration.deviceId);
+            deleted.devices++;
+        }
+    }
+
+    const users = await ctx.db
+        .query("users")
+        .withIndex("by_pass", (q) => q.eq("passId", pass._id))
+        .collect();
+    await Promise.all(users.map((u) => ctx.db.delete(u._id)));
+    deleted.users = users.length;
+
+    const downloadTokens = await ctx.db
+        .query("downloadTokens")
+        .withIndex("by_pass", (q) => q.eq("passId", pass._id))
+        .collect();
+    await Promise.all(downloadTokens.map((t) => ctx.db.delete(t._id)));
+    deleted.downloadTokens = downloadTokens.length;
+
+    const deviceLogs = await ctx.db
+        .query("deviceLogs")
+        .withIndex("by_pass", (q) => q.eq("passId", pass._id))
+        .collect();
+    await Promise.all(deviceLogs.map((log) => ctx.db.delete(log._id)));
+    deleted.deviceLogs = deviceLogs.length;
+
+    for (const sessionKey of sessionKeys) {
+        const session = await ctx.db
+            .query("sessions")
+            .withIndex("by_session_key", (q) => q.eq("sessionKey", sessionKey))
+            .unique();
+        if (session) {
+            await ctx.db.delete(session._id);
+            deleted.sessions++;
+        }
+    }
+
+    await ctx.db.delete(pass._id);
+    return deleted;
+}
+
+/**
+ * Delete everything stored for the pass behind a manage token (see
+ * deletePassRecords), including its encrypted credentials.
+ * Internal only — called via authenticated HTTP endpoint.
+ *
+ * The Worker revokes the CBORD PIN first. `sessionKeys` are the keyed hashes
+ * of the pass's CBORD deviceId under every key version, since Convex can't
+ * work out which cached sessions belong to the pass on its own.
+ *
+ * Returns how many rows of each kind were deleted (the receipt shown to the
+ * user), or null if the token is unknown.
+ */
+export const purgeManagedPass = internalMutation({
+    args: {
+        manageToken: v.string(),
+        sessionKeys: v.array(v.string()),
+    },
+    handler: async (ctx, args) => {
+        const pass = await passForManageToken(ctx, args.manageToken);
+        if (!pass) return null;
+
+        return deletePassRecords(ctx, pass, args.sessionKeys);
+    },
+});
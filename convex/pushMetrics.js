@@ -0,0 +1,204 @@
+import { internalAction, internalMutation, internalQuery } from "./_generated/server";
+import { internal } from "./_generated/api";
+import { v } from "convex/values";
+import { paginationOptsValidator } from "convex/server";
+
+// pushRuns rows are swept by the daily cleanup (gc.js) after this long.
+const PUSH_RUN_RETENTION_DAYS = 30;
+
+// Longest window getPushMetrics aggregates over.
+const MAX_METRICS_WINDOW_DAYS = 30;
+
+// Rows read per query while aggregating.
+const METRICS_PAGE_SIZE = 1000;
+
+// Counters on a pushRuns row that batches add to.
+const PUSH_RUN_COUNTS = [
+    "claimedPasses",
+    "checkBatches",
+    "refreshedPasses",
+    "refreshFailures",
+    "changedPasses",
+    "pushBatches",
+    "pushes",
+    "succeeded",
+    "failed",
+    "unconfigured",
+    "totalLatencyMs",
+    "jwtReused",
+    "jwtSigned",
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Add per-reason counts into a running map. */
+function addReasons(totals, failureReasons) {
+    for (const { reason, count } of failureReasons) {
+        totals.set(reason, (totals.get(reason) ?? 0) + count);
+    }
+}
+
+// ─── Recording Runs ──────────────────────────────────────────────────
+
+/**
+ * Start the pushRuns row for a cron tick. Returns its ID, which the tick's
+ * check and push batches report to.
+ */
+export const startPushRun = internalMutation({
+    args: {
+        startedAt: v.number(),
+    },
+    handler: async (ctx, args) => {
+        const run = {
+            startedAt: args.startedAt,
+            finishedAt: args.startedAt,
+            expiresAt: args.startedAt + PUSH_RUN_RETENTION_DAYS * DAY_MS,
+            failureReasons: [],
+            maxLatencyMs: 0,
+        };
+        for (const field of PUSH_RUN_COUNTS) run[field] = 0;
+        return ctx.db.insert("pushRuns", run);
+    },
+});
+
+/**
+ * Add one batch's counts to its run. Batches of a run finish in any order,
+ * so everything is added up here rather than written by the batch.
+ */
+export const addToPushRun = internalMutation({
+    args: {
+        runId: v.id("pushRuns"),
+        counts: v.object(Object.fromEntries(PUSH_RUN_COUNTS.map((field) => [field, v.optional(v.number())]))),
+        failureReasons: v.optional(v.array(v.object({ reason: v.string(), count: v.number() }))),
+        maxLatencyMs: v.optional(v.number()),
+    },
+    handler: async (ctx, args) => {
+        const run = await ctx.db.get(args.runId);
+        if (!run) return;
+
+        const patch = { finishedAt: Date.now() };
+        for (const [field, value] of Object.entries(args.counts)) {
+            if (value) patch[field] = run[field] + value;
+        }
+        if (args.failureReasons?.length) {
+            const reasons = new Map();
+            addReasons(reasons, run.failureReasons);
+            addReasons(reasons, args.failureReasons);
+            patch.failureReasons = [...reasons].map(([reason, count]) => ({ reason, count }));
+        }
+        if (args.maxLatencyMs > run.maxLatencyMs) patch.maxLatencyMs = args.maxLatencyMs;
+
+        await ctx.db.patch(run._id, patch);
+    },
+});
+
+// ─── Metrics ─────────────────────────────────────────────────────────
+
+/**
+ * One page of push runs started in [since, until).
+ */
+export const listPushRuns = internalQuery({
+    args: {
+        since: v.number(),
+        until: v.number(),
+        paginationOpts: paginationOptsValidator,
+    },
+    handler: async (ctx, args) => {
+        return ctx.db
+            .query("pushRuns")
+            .withIndex("by_started_at", (q) => q.gte("startedAt", args.since).lt("startedAt", args.until))
+            .paginate(args.paginationOpts);
+    },
+});
+
+/**
+ * One page of devices' delivery stats.
+ */
+export const listDeviceStats = internalQuery({
+    args: {
+        paginationOpts: paginationOptsValidator,
+    },
+    handler: async (ctx, args) => {
+        const result = await ctx.db.query("devices").paginate(args.paginationOpts);
+        return {
+            ...result,
+            page: result.page.map((device) => ({
+                lastPushAt: device.lastPushAt ?? null,
+                lastDeliveredAt: device.lastDeliveredAt ?? null,
+                failing: (device.failureCount ?? 0) > 0,
+            })),
+        };
+    },
+});
+
+/** Read every page of a paginated query. */
+async function forEachPage(ctx, query, args, visit) {
+    let cursor = null;
+    for (;;) {
+        const { page, isDone, continueCursor } = await ctx.runQuery(query, {
+            ...args,
+            paginationOpts: { numItems: METRICS_PAGE_SIZE, cursor },
+        });
+        page.forEach(visit);
+        if (isDone) return;
+        cursor = continueCursor;
+    }
+}
+
+/**
+ * Push delivery aggregates for runs started in [since, until) (epoch ms; the
+ * window is capped at 30 days), plus how many devices the window's pushes
+ * reached — to within an hour, as that's how often a healthy device's
+ * lastDeliveredAt is rewritten. Served at GET /api/pushMetrics.
+ */
+export const getPushMetrics = internalAction({
+    args: {
+        since: v.number(),
+        until: v.number(),
+    },
+    handler: async (ctx, args) => {
+        const until = args.until;
+        const since = Math.max(args.since, until - MAX_METRICS_WINDOW_DAYS * DAY_MS);
+
+        const totals = Object.fromEntries(PUSH_RUN_COUNTS.map((field) => [field, 0]));
+        const reasons = new Map();
+        let runs = 0;
+        let maxLatencyMs = 0;
+
+        await forEachPage(ctx, internal.pushMetrics.listPushRuns, { since, until }, (run) => {
+            runs++;
+            for (const field of PUSH_RUN_COUNTS) totals[field] += run[field];
+            addReasons(reasons, run.failureReasons);
+            maxLatencyMs = Math.max(maxLatencyMs, run.maxLatencyMs);
+        });
+
+        const devices = { total: 0, reachedInWindow: 0, failing: 0, neverDelivered: 0 };
+        await forEachPage(ctx, internal.pushMetrics.listDeviceStats, {}, (device) => {
+            devices.total++;
+            if (device.lastDeliveredAt !== null && device.lastDeliveredAt >= since && device.lastDeliveredAt < until) {
+                devices.reachedInWindow++;
+            }
+            if (device.failing) devices.failing++;
+            if (device.lastPushAt !== null && device.lastDeliveredAt === null) devices.neverDelivered++;
+        });
+
+        const { totalLatencyMs, ...counts } = totals;
+        return {
+            since,
+            until,
+            runs,
+            ...counts,
+            successRate: totals.pushes > 0 ? totals.succeeded / totals.pushes : null,
+            failureReasons: [...reasons]
+                .map(([reason, count]) => ({ reason, count }))
+                .sort((a, b) => b.count - a.count),
+            avgLatencyMs: totals.pushes > 0 ? Math.round(totalLatencyMs / totals.pushes) : null,
+            maxLatencyMs,
+            jwtReuseRate:
+                totals.jwtReused + totals.jwtSigned > 0
+                    ? totals.jwtReused / (totals.jwtReused + totals.jwtSigned)
+                    : null,
+            devices,
+        };
+    },
+});
@@ -2,6 +2,57 @@
 
 import { internalAction } from "./_generated/server";
 import { internal } from "./_generated/api";
+import { v } from "convex/values";
+import { getWorkerClient } from "./workerClient";
+
+// APNs reasons meaning the token will never work again; the device is removed.
+const PERMANENT_FAILURE_REASONS = new Set([
+    "BadDeviceToken",
+    "ExpiredToken",
+    "Unregistered",
+]);
+
+// The token works, just not for this topic (e.g. a pass type whose APNs key is
+// misconfigured); only the device's registrations for that pass type go.
+const WRONG_TOPIC_REASON = "DeviceTokenNotForTopic";
+
+// Statuses worth retrying with backoff (rate limited / APNs unavailable).
+const RETRYABLE_STATUSES = new Set([429, 503]);
+const MAX_PUSH_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 500;
+
+// 403 means our provider JWT was rejected — not the device's fault.
+const PROVIDER_ERROR_STATUS = 403;
+
+// 403 reasons meaning the cached provider JWT itself is no good.
+const STALE_PROVIDER_TOKEN_REASONS = new Set(["ExpiredProviderToken", "InvalidProviderToken"]);
+
+// APNs accepts a provider JWT for an hour and rejects keys that replace theirs
+// more often than every 20 minutes, so a signed JWT is reused for 40.
+const PROVIDER_TOKEN_MAX_AGE_MS = 40 * 60 * 1000;
+
+// Passes sent to the Worker per /internal/refreshPasses call. Each pass costs
+// several GET subrequests, so keep this well under the Worker subrequest limit.
+const REFRESH_BATCH_SIZE = 8;
+
+// /internal/refreshPasses calls in flight per check batch.
+const MAX_CONCURRENT_REFRESHES = 4;
+
+// Due passes claimed per check batch.
+const CHECK_BATCH_SIZE = 100;
+
+// Check lanes open at once (see schedule.js). Each runs one check batch at a
+// time, so at most MAX_CHECK_LANES × MAX_CONCURRENT_REFRESHES Worker calls
+// are in flight, however many cron ticks overlap.
+const MAX_CHECK_LANES = 4;
+
+// Batches a lane runs before it closes and leaves its slot to a later tick,
+// so each push run covers a bounded stretch of checks.
+const MAX_BATCHES_PER_LANE = 12;
+
+// Push tokens per push batch, and pushes in flight per HTTP/2 connection.
+const PUSH_BATCH_SIZE = 500;
+const MAX_STREAMS_PER_CONNECTION = 100;
 
 /**
  * Create a base64url-encoded string from raw bytes.
@@ -43,135 +94,501 @@ async function buildApnsJwt(keyId, teamId, privateKeyPem) {
     return `${headerB64}.${payloadB64}.${signatureB64}`;
 }
 
+/** Split an array into chunks of at most `size`. */
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
 /**
- * Send an empty push notification to APNs to trigger a pass update.
- * Apple Wallet passes use empty push payloads ("{}").
- *
- * Environment variables required (set in Convex dashboard):
- *   APNS_KEY_ID      – 10-character Key ID from Apple Developer portal
- *   APNS_TEAM_ID     – Your Apple Developer Team ID
- *   APNS_PRIVATE_KEY – Contents of the .p8 auth key file
- *   APNS_ENVIRONMENT – "production" or "development" (defaults to "production")
+ * Like Promise.all(items.map(fn)), but with at most `limit` calls in flight.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    async function run() {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i]);
+        }
+    }
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+    return results;
+}
+
+/**
+ * Ask the Worker for fresh content hashes of a batch of passes and record
+ * them. Returns the IDs of passes whose content changed, and how many passes
+ * were refreshed and how many failed.
+ * @returns {Promise<{changedPassIds:string[], refreshed:number, failed:number}>}
+ */
+async function detectChangedPasses(ctx, passes) {
+    const worker = getWorkerClient();
+    const results = (
+        await mapWithConcurrency(chunk(passes, REFRESH_BATCH_SIZE), MAX_CONCURRENT_REFRESHES, (batch) =>
+            worker.refreshPasses(batch).catch((err) => {
+                console.error(`[Refresh] Batch failed: ${err.message}`);
+                return [];
+            })
+        )
+    ).flat();
+
+    const hashes = results
+        .filter((r) => r.contentHash)
+        .map(({ passTypeIdentifier, serialNumber, contentHash }) => ({
+            passTypeIdentifier,
+            serialNumber,
+            contentHash,
+        }));
+
+    const failed = results.length - hashes.length;
+    if (failed > 0) {
+        console.error(`[Refresh] ${failed} pass(es) could not be refreshed`);
+    }
+
+    if (hashes.length === 0) return { changedPassIds: [], refreshed: 0, failed: passes.length };
+    const recorded = await ctx.runMutation(
+        internal.registrations.recordContentHashes,
+        { hashes }
+    );
+    return {
+        changedPassIds: recorded.filter((r) => r.changed).map((r) => r.passId),
+        refreshed: hashes.length,
+        failed: passes.length - hashes.length,
+    };
+}
+
+/**
+ * Parse APNS_TOPIC_CONFIG: a JSON object mapping a pass type identifier (the
+ * APNs topic) to the credentials to push it with, e.g.
+ *   { "pass.com.example.Test": { "keyId": "...", "teamId": "...", "privateKey": "...", "environment": "development" } }
+ */
+function parseTopicConfig() {
+    if (!process.env.APNS_TOPIC_CONFIG) return {};
+    try {
+        return JSON.parse(process.env.APNS_TOPIC_CONFIG);
+    } catch (err) {
+        console.error(`[APNs] Ignoring invalid APNS_TOPIC_CONFIG: ${err.message}`);
+        return {};
+    }
+}
+
+/**
+ * APNs credentials for a topic. Anything not overridden in APNS_TOPIC_CONFIG
+ * falls back to the APNS_* env vars.
+ */
+function apnsConfigForTopic(topic, topicConfig) {
+    const override = topicConfig[topic] || {};
+    const privateKey = override.privateKey || process.env.APNS_PRIVATE_KEY;
+    return {
+        keyId: override.keyId || process.env.APNS_KEY_ID,
+        teamId: override.teamId || process.env.APNS_TEAM_ID,
+        // Restore newlines in the private key PEM (env vars use literal \n)
+        privateKey: privateKey ? privateKey.replace(/\\n/g, "\n") : undefined,
+        environment: override.environment || process.env.APNS_ENVIRONMENT || "production",
+    };
+}
+
+/**
+ * Send a single push notification over an HTTP/2 session.
+ * Returns a promise that resolves with { pushToken, status, reason, apnsId }.
+ * `reason` is parsed from the APNs JSON error body on failure.
+ */
+function sendPush(session, jwt, pushToken, passTypeIdentifier, apnsId) {
+    return new Promise((resolve, reject) => {
+        const req = session.request({
+            ":method": "POST",
+            ":path": `/3/device/${pushToken}`,
+            authorization: `bearer ${jwt}`,
+            "apns-id": apnsId,
+            "apns-topic": passTypeIdentifier,
+            "apns-push-type": "background",
+            "apns-priority": "5",
+            "content-type": "application/json",
+        });
+
+        req.on("response", (headers) => {
+            const status = headers[":status"];
+            let body = "";
+            req.on("data", (chunk) => { body += chunk; });
+            req.on("end", () => {
+                let reason;
+                if (status !== 200) {
+                    try {
+                        reason = JSON.parse(body).reason;
+                    } catch {
+                        reason = body || undefined;
+                    }
+                }
+                resolve({
+                    pushToken,
+                    status,
+                    reason,
+                    apnsId: headers["apns-id"] || apnsId,
+                });
+            });
+        });
+
+        req.on("error", (err) => reject(err));
+
+        req.write(JSON.stringify({}));
+        req.end();
+    });
+}
+
+/**
+ * Send a push, retrying 429/503 with exponential backoff. The same apns-id is
+ * reused on every attempt so APNs can tell it's a retry.
+ * Network errors resolve with status 0 rather than rejecting. `latencyMs`
+ * covers every attempt.
+ */
+async function sendPushWithRetry(session, jwt, pushToken, passTypeIdentifier) {
+    const apnsId = crypto.randomUUID();
+    const startedAt = Date.now();
+    let result;
+    for (let attempt = 1; attempt <= MAX_PUSH_ATTEMPTS; attempt++) {
+        try {
+            result = await sendPush(session, jwt, pushToken, passTypeIdentifier, apnsId);
+        } catch (err) {
+            return { pushToken, passTypeIdentifier, status: 0, reason: err.message, apnsId, latencyMs: Date.now() - startedAt };
+        }
+        if (!RETRYABLE_STATUSES.has(result.status) || attempt === MAX_PUSH_ATTEMPTS) {
+            break;
+        }
+        const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+        await new Promise((r) => setTimeout(r, delay));
+    }
+    return { ...result, passTypeIdentifier, latencyMs: Date.now() - startedAt };
+}
+
+/**
+ * The APNs provider JWT for a key: the cached one if it is recent enough,
+ * otherwise a newly signed one (or the one another batch stored first).
+ * @returns {Promise<{jwt:string, reused:boolean}>}
+ */
+async function providerToken(ctx, { keyId, teamId, privateKey }) {
+    const now = Date.now();
+    const minIssuedAt = now - PROVIDER_TOKEN_MAX_AGE_MS;
+    const cached = await ctx.runQuery(internal.apnsTokens.getProviderToken, { keyId, teamId, minIssuedAt });
+    if (cached) return { jwt: cached, reused: true };
+
+    const signed = await buildApnsJwt(keyId, teamId, privateKey);
+    const jwt = await ctx.runMutation(internal.apnsTokens.storeProviderToken, {
+        keyId,
+        teamId,
+        token: signed,
+        issuedAt: now,
+        minIssuedAt,
+    });
+    return { jwt, reused: jwt !== signed };
+}
+
+/**
+ * Add a batch's counts to its push run (see pushMetrics.js). Batches started
+ * without a run, e.g. by hand, aren't recorded. Metrics are best-effort: a
+ * failure is logged and never stops checks or pushes.
+ */
+async function reportToRun(ctx, runId, counts, extra = {}) {
+    if (!runId) return;
+    await ctx.runMutation(internal.pushMetrics.addToPushRun, { runId, counts, ...extra }).catch((err) => {
+        console.error(`[Metrics] Failed to record push run counts: ${err.message}`);
+    });
+}
+
+/**
+ * Claim the next page of due passes for a check lane, skipping pages that
+ * held only passes not to check. An empty result means no due passes are
+ * left, and claimDuePasses has closed the lane.
+ */
+async function claimNextPage(ctx, laneId) {
+    for (;;) {
+        const { passes, isDone } = await ctx.runMutation(internal.schedule.claimDuePasses, {
+            laneId,
+            limit: CHECK_BATCH_SIZE,
+        });
+        if (passes.length > 0 || isDone) return passes;
+    }
+}
+
+/**
+ * Cron entry point. Opens check lanes (see schedule.js) up to MAX_CHECK_LANES
+ * and starts each one's first checkPasses batch; the lane then claims its
+ * next page of due passes only once that batch is done.
  */
 export const sendPushNotifications = internalAction({
     args: {},
     handler: async (ctx) => {
-        const keyId = process.env.APNS_KEY_ID;
-        const teamId = process.env.APNS_TEAM_ID;
-        const privateKeyPem = process.env.APNS_PRIVATE_KEY;
-        const apnsEnv = process.env.APNS_ENVIRONMENT || "production";
+        const startedAt = Date.now();
+        let runId = null;
+        let lanes = 0;
+        let claimed = 0;
 
-        if (!keyId || !teamId || !privateKeyPem) {
-            console.log(
-                "[APNs] Skipping push: APNS_KEY_ID, APNS_TEAM_ID, or APNS_PRIVATE_KEY not configured"
-            );
-            return;
-        }
+        while (lanes < MAX_CHECK_LANES) {
+            const laneId = await ctx.runMutation(internal.schedule.openCheckLane, { maxLanes: MAX_CHECK_LANES });
+            if (!laneId) break;
 
-        // Restore newlines in the private key PEM (env vars use literal \n)
-        const key = privateKeyPem.replace(/\\n/g, "\n");
+            const passes = await claimNextPage(ctx, laneId);
+            if (passes.length === 0) break;
 
-        // Get all registered push tokens
-        const tokens = await ctx.runQuery(
-            internal.registrations.getAllPushTokens
-        );
+            // Ticks with nothing to check aren't recorded
+            runId ??= await ctx.runMutation(internal.pushMetrics.startPushRun, { startedAt }).catch((err) => {
+                console.error(`[Metrics] Failed to start push run: ${err.message}`);
+                return null;
+            });
+            await ctx.scheduler.runAfter(0, internal.pushNotifications.checkPasses, { passes, runId, laneId, batch: 1 });
+            lanes++;
+            claimed += passes.length;
+        }
 
-        if (tokens.length === 0) {
-            console.log("[APNs] No registered devices to notify");
-            return;
+        if (claimed > 0) {
+            await reportToRun(ctx, runId, { claimedPasses: claimed, checkBatches: lanes });
+            console.log(`[APNs] Checking ${claimed} due pass(es) in ${lanes} new lane(s)`);
         }
+    },
+});
+
+/**
+ * Check one batch of passes for new GET data through the Worker and start
+ * push batches for the devices of passes that changed.
+ */
+async function checkBatch(ctx, { passes, runId }) {
+    // Only passes whose barcode or balances changed need a push
+    const { changedPassIds, refreshed, failed } = await detectChangedPasses(ctx, passes);
+    const counts = { refreshedPasses: refreshed, refreshFailures: failed, changedPasses: changedPassIds.length };
+    if (changedPassIds.length === 0) {
+        await reportToRun(ctx, runId, counts);
+        return;
+    }
 
-        // Mark all passes as updated so iOS fetches fresh data
-        await ctx.runMutation(internal.registrations.touchAllPasses);
+    // Get push tokens (one per device and pass type) for the changed passes
+    const tokens = await ctx.runQuery(
+        internal.registrations.getAllPushTokens,
+        { passIds: changedPassIds }
+    );
 
-        // Build JWT for APNs authentication
-        const jwt = await buildApnsJwt(keyId, teamId, key);
+    if (tokens.length === 0) {
+        console.log("[APNs] No registered devices to notify");
+        await reportToRun(ctx, runId, counts);
+        return;
+    }
 
-        const apnsHost =
-            apnsEnv === "development"
-                ? "api.development.push.apple.com"
-                : "api.push.apple.com";
+    const batches = chunk(tokens, PUSH_BATCH_SIZE);
+    for (const batch of batches) {
+        await ctx.scheduler.runAfter(0, internal.pushNotifications.sendPushBatch, {
+            tokens: batch,
+            runId,
+        });
+    }
+    await reportToRun(ctx, runId, { ...counts, pushBatches: batches.length });
+    console.log(
+        `[APNs] ${changedPassIds.length} pass(es) changed; pushing to ${tokens.length} device(s) in ${batches.length} batch(es)`
+    );
+}
 
-        console.log(
-            `[APNs] Sending push notifications to ${tokens.length} device(s)`
-        );
+/**
+ * Start a lane's next check batch, or close the lane once it has run
+ * MAX_BATCHES_PER_LANE of them.
+ */
+async function continueLane(ctx, { laneId, runId, batch }) {
+    if (batch >= MAX_BATCHES_PER_LANE) {
+        await ctx.runMutation(internal.schedule.closeCheckLane, { laneId });
+        return;
+    }
+
+    const passes = await claimNextPage(ctx, laneId);
+    if (passes.length === 0) return;
+
+    await ctx.scheduler.runAfter(0, internal.pushNotifications.checkPasses, { passes, runId, laneId, batch: batch + 1 });
+    await reportToRun(ctx, runId, { claimedPasses: passes.length, checkBatches: 1 });
+}
+
+/**
+ * Check one batch of passes for new GET data through the Worker (WORKER_URL,
+ * see workerClient.js), schedule their next check and, when started by a
+ * check lane, hand the lane its next batch. Batches run by hand can leave
+ * out the lane.
+ */
+export const checkPasses = internalAction({
+    args: {
+        passes: v.array(
+            v.object({
+                passTypeIdentifier: v.string(),
+                serialNumber: v.string(),
+            })
+        ),
+        runId: v.optional(v.id("pushRuns")),
+        laneId: v.optional(v.id("checkLanes")),
+        // This batch's number within its lane, from 1
+        batch: v.optional(v.number()),
+    },
+    handler: async (ctx, args) => {
+        try {
+            await checkBatch(ctx, args);
+        } finally {
+            await ctx.runMutation(internal.schedule.rescheduleCheckedPasses, { passes: args.passes });
+            if (args.laneId) await continueLane(ctx, { laneId: args.laneId, runId: args.runId, batch: args.batch ?? 1 });
+        }
+    },
+});
+
+/**
+ * Send an empty push notification to a batch of push tokens, so Apple Wallet
+ * fetches the update. Apple Wallet passes use empty push payloads ("{}").
+ *
+ * Each push goes to the APNs topic of its own pass type, so one deployment
+ * can serve several pass types. Pushes sharing APNs credentials share one
+ * provider JWT (cached across batches) and one HTTP/2 connection, with at most
+ * MAX_STREAMS_PER_CONNECTION in flight.
+ *
+ * Environment variables (set in Convex dashboard):
+ *   APNS_KEY_ID        – 10-character Key ID from Apple Developer portal
+ *   APNS_TEAM_ID       – Your Apple Developer Team ID
+ *   APNS_PRIVATE_KEY   – Contents of the .p8 auth key file
+ *   APNS_ENVIRONMENT   – "production" or "development" (defaults to "production")
+ *   APNS_TOPIC_CONFIG  – (optional) per-pass-type overrides of the above, see parseTopicConfig()
+ */
+export const sendPushBatch = internalAction({
+    args: {
+        tokens: v.array(
+            v.object({
+                pushToken: v.string(),
+                passTypeIdentifier: v.string(),
+            })
+        ),
+        runId: v.optional(v.id("pushRuns")),
+    },
+    handler: async (ctx, args) => {
+        // Group pushes by the APNs credentials of each token's topic
+        const topicConfig = parseTopicConfig();
+        const groups = new Map();
+        let unconfigured = 0;
+
+        for (const token of args.tokens) {
+            const config = apnsConfigForTopic(token.passTypeIdentifier, topicConfig);
+            if (!config.keyId || !config.teamId || !config.privateKey) {
+                unconfigured++;
+                continue;
+            }
+            const groupKey = `${config.environment}|${config.teamId}|${config.keyId}`;
+            if (!groups.has(groupKey)) groups.set(groupKey, { config, tokens: [] });
+            groups.get(groupKey).tokens.push(token);
+        }
+
+        if (unconfigured > 0) {
+            console.log(
+                `[APNs] Skipping ${unconfigured} push(es): no APNs key configured for their pass type`
+            );
+        }
+        if (groups.size === 0) {
+            await reportToRun(ctx, args.runId, { unconfigured });
+            return;
+        }
 
         // APNs requires HTTP/2 – Node's built-in fetch (undici) only supports HTTP/1.1
         const http2 = await import("http2");
 
-        /**
-         * Send a single push notification over an HTTP/2 session.
-         * Returns a promise that resolves with { pushToken, status }.
-         */
-        function sendPush(session, pushToken, passTypeIdentifier) {
-            return new Promise((resolve, reject) => {
-                const req = session.request({
-                    ":method": "POST",
-                    ":path": `/3/device/${pushToken}`,
-                    authorization: `bearer ${jwt}`,
-                    "apns-topic": passTypeIdentifier,
-                    "apns-push-type": "background",
-                    "apns-priority": "5",
-                    "content-type": "application/json",
-                });
+        const results = [];
+        let jwtReused = 0;
+        let jwtSigned = 0;
+        for (const { config, tokens: groupTokens } of groups.values()) {
+            const { jwt, reused } = await providerToken(ctx, config);
+            if (reused) jwtReused++;
+            else jwtSigned++;
 
-                req.on("response", (headers) => {
-                    const status = headers[":status"];
-                    let body = "";
-                    req.on("data", (chunk) => { body += chunk; });
-                    req.on("end", () => {
-                        if (status !== 200) {
-                            console.error(
-                                `[APNs] Push failed for token ${pushToken.substring(0, 8)}...: ${status} ${body}`
-                            );
-                        }
-                        resolve({ pushToken, status });
-                    });
-                });
+            const apnsHost =
+                config.environment === "development"
+                    ? "api.development.push.apple.com"
+                    : "api.push.apple.com";
 
-                req.on("error", (err) => reject(err));
+            // One HTTP/2 connection per group, with a bounded number of streams
+            const session = http2.connect(`https://${apnsHost}`);
+            let groupResults;
+            try {
+                groupResults = await mapWithConcurrency(
+                    groupTokens,
+                    MAX_STREAMS_PER_CONNECTION,
+                    ({ pushToken, passTypeIdentifier }) =>
+                        sendPushWithRetry(session, jwt, pushToken, passTypeIdentifier)
+                );
+            } finally {
+                session.close();
+            }
+            results.push(...groupResults);
 
-                req.write(JSON.stringify({}));
-                req.end();
-            });
+            // A rejected JWT is dropped so the next batch signs a new one
+            if (groupResults.some((r) => r.status === PROVIDER_ERROR_STATUS && STALE_PROVIDER_TOKEN_REASONS.has(r.reason))) {
+                await ctx.runMutation(internal.apnsTokens.clearProviderToken, {
+                    keyId: config.keyId,
+                    teamId: config.teamId,
+                    token: jwt,
+                });
+            }
         }
 
-        // Open a single HTTP/2 session and multiplex all pushes over it
-        const session = http2.connect(`https://${apnsHost}`);
+        let succeeded = 0;
+        let failed = 0;
+        let totalLatencyMs = 0;
+        let maxLatencyMs = 0;
+        const failureReasons = new Map();
+        const deliveryResults = [];
 
-        try {
-            const results = await Promise.allSettled(
-                tokens.map(({ pushToken, passTypeIdentifier }) =>
-                    sendPush(session, pushToken, passTypeIdentifier)
-                )
-            );
+        for (const { pushToken, passTypeIdentifier, status, reason, apnsId, latencyMs } of results) {
+            totalLatencyMs += latencyMs;
+            maxLatencyMs = Math.max(maxLatencyMs, latencyMs);
 
-            let succeeded = 0;
-            let failed = 0;
-
-            for (const result of results) {
-                if (result.status === "fulfilled" && result.value.status === 200) {
-                    succeeded++;
-                } else {
-                    failed++;
-                    if (result.status === "rejected") {
-                        console.error(
-                            `[APNs] Push threw error: ${result.reason}`
-                        );
-                    } else {
-                        const { pushToken, status } = result.value;
-                        console.error(
-                            `[APNs] Push failed for token ${pushToken.substring(0, 8)}...: HTTP ${status}`
-                        );
-                    }
-                }
+            if (status === 200) {
+                succeeded++;
+                deliveryResults.push({ pushToken, passTypeIdentifier, ok: true });
+                continue;
             }
 
-            console.log(
-                `[APNs] Push results: ${succeeded} succeeded, ${failed} failed`
+            failed++;
+            // Connection errors carry Node's message, not an APNs reason
+            const reasonKey = status === 0 ? "ConnectionError" : reason || `HTTP ${status}`;
+            failureReasons.set(reasonKey, (failureReasons.get(reasonKey) ?? 0) + 1);
+            console.error(
+                `[APNs] Push failed for token ${pushToken.substring(0, 8)}... (apns-id ${apnsId}): HTTP ${status} ${reason || ""}`
             );
-        } finally {
-            session.close();
+
+            // Connection errors and rejected provider tokens say nothing
+            // about the device token, so they don't count against it
+            if (status === 0 || status === PROVIDER_ERROR_STATUS) continue;
+
+            deliveryResults.push({
+                pushToken,
+                passTypeIdentifier,
+                ok: false,
+                reason: reason || `HTTP ${status}`,
+                permanent: PERMANENT_FAILURE_REASONS.has(reason),
+                wrongTopic: reason === WRONG_TOPIC_REASON,
+            });
         }
+
+        console.log(
+            `[APNs] Push results: ${succeeded} succeeded, ${failed} failed`
+        );
+
+        if (deliveryResults.length > 0) {
+            const { removed } = await ctx.runMutation(
+                internal.registrations.recordPushResults,
+                { results: deliveryResults }
+            );
+            if (removed > 0) {
+                console.log(`[APNs] Removed ${removed} device(s) with dead push tokens or no passes left`);
+            }
+        }
+
+        await reportToRun(
+            ctx,
+            args.runId,
+            { pushes: results.length, succeeded, failed, unconfigured, totalLatencyMs, jwtReused, jwtSigned },
+            {
+                failureReasons: [...failureReasons].map(([reason, count]) => ({ reason, count })),
+                maxLatencyMs,
+            }
+        );
     },
 });
@@ -0,0 +1,58 @@
+import { internalMutation } from "./_generated/server";
+import { v } from "convex/values";
+
+// Expired counters cleaned up on each hit.
+const EXPIRED_COUNTER_CLEANUP_BATCH = 20;
+
+// ─── Rate Limits ─────────────────────────────────────────────────────
+
+/**
+ * Count one hit against each bucket (fixed-window counters).
+ * Internal only — called via authenticated HTTP endpoint.
+ *
+ * Buckets already at their limit are not incremented, so a client that keeps
+ * retrying while limited doesn't extend its own window.
+ *
+ * Returns { limited, retryAfterMs } — limited if any bucket is full, and how
+ * long until the last full bucket's window ends.
+ */
+export const hitRateLimits = internalMutation({
+    args: {
+        buckets: v.array(
+            v.object({
+                key: v.string(),
+                limit: v.number(),
+                windowMs: v.number(),
+            })
+        ),
+    },
+    handler: async (ctx, args) => {
+        const now = Date.now();
+        let retryAfterMs = 0;
+
+        for (const bucket of args.buckets) {
+            const counter = await ctx.db
+                .query("rateLimits")
+                .withIndex("by_key", (q) => q.eq("key", bucket.key))
+                .unique();
+
+            if (!counter || counter.expiresAt <= now) {
+                const fields = { key: bucket.key, count: 1, expiresAt: now + bucket.windowMs };
+                if (counter) await ctx.db.replace(counter._id, fields);
+                else await ctx.db.insert("rateLimits", fields);
+            } else if (counter.count >= bucket.limit) {
+                retryAfterMs = Math.max(retryAfterMs, counter.expiresAt - now);
+            } else {
+                await ctx.db.patch(counter._id, { count: counter.count + 1 });
+            }
+        }
+
+        const expired = await ctx.db
+            .query("rateLimits")
+            .withIndex("by_expires_at", (q) => q.lt("expiresAt", now))
+            .take(EXPIRED_COUNTER_CLEANUP_BATCH);
+        await Promise.all(expired.map((c) => ctx.db.delete(c._id)));
+
+        return { limited: retryAfterMs > 0, retryAfterMs };
+    },
+});
@@ -1,5 +1,25 @@
 import { internalMutation, internalQuery } from "./_generated/server";
 import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { revokeGracePeriodMs, hasStoredCredentials } from "./credentials";
+import { sealedValue } from "./schema";
+import { loadPushSchedule, activityFields, pushesAllowed } from "./schedule";
+
+// Devices are removed after this many consecutive failed pushes, even if APNs
+// never reports the token as permanently invalid.
+const MAX_CONSECUTIVE_PUSH_FAILURES = 10;
+
+// A device's lastCheckedAt is only rewritten once this much time has passed,
+// so every pass check-in doesn't cost a write.
+const LAST_CHECKED_RESOLUTION_MS = 60 * 1000;
+
+// Same for a healthy device's lastPushAt and lastDeliveredAt, so pushes write
+// to it at most hourly unless its failure state changes.
+const DELIVERY_STATS_RESOLUTION_MS = 60 * 60 * 1000;
+
+// Device library ID of the placeholder device old versions registered at
+// download. It has no real push token; the daily cleanup (gc.js) deletes it.
+export const PLACEHOLDER_DEVICE_ID = "initial-download";
 
 // ─── Device Registration ─────────────────────────────────────────────
 
@@ -83,13 +103,66 @@ export const registerDevice = internalMutation({
             passId,
         });
 
+        // Just added to Wallet: check it on the fast cadence for a while
+        const patch = activityFields(await loadPushSchedule(ctx), existingPass ?? {});
+        // Back on a device within the grace period: keep the credentials
+        if (existingPass && existingPass.orphanedAt) {
+            patch.orphanedAt = undefined;
+        }
+        await ctx.db.patch(passId, patch);
+
         return { isNew: true };
     },
 });
 
+/**
+ * If a pass has no registrations left, mark it orphaned and schedule its
+ * CBORD PIN for revocation once the grace period has passed.
+ */
+async function scheduleRevocationIfOrphaned(ctx, passId) {
+    const remaining = await ctx.db
+        .query("registrations")
+        .withIndex("by_pass", (q) => q.eq("passId", passId))
+        .first();
+    if (remaining) return;
+
+    const pass = await ctx.db.get(passId);
+    if (!pass || !hasStoredCredentials(pass)) return;
+
+    await ctx.db.patch(passId, { orphanedAt: Date.now() });
+    await ctx.scheduler.runAfter(
+        revokeGracePeriodMs(),
+        internal.credentials.revokeOrphanedCredentials,
+        { passId }
+    );
+}
+
+/**
+ * Delete a registration, then the device if it has no passes left. When this
+ * removes the pass's last registration, its CBORD PIN is scheduled for
+ * revocation (see credentials.js).
+ */
+export async function removeRegistration(ctx, registration) {
+    await ctx.db.delete(registration._id);
+
+    const remainingRegistrations = await ctx.db
+        .query("registrations")
+        .withIndex("by_device", (q) => q.eq("deviceId", registration.deviceId))
+        .first();
+
+    if (!remainingRegistrations) {
+        await ctx.db.delete(registration.deviceId);
+    }
+
+    await scheduleRevocationIfOrphaned(ctx, registration.passId);
+}
+
 /**
  * Unregister a device from a pass.
  * Internal only — called via authenticated HTTP endpoint.
+ *
+ * When this removes the pass's last registration, the pass's CBORD PIN is
+ * scheduled for revocation (see credentials.js).
  */
 export const unregisterDevice = internalMutation({
     args: {
@@ -127,17 +200,7 @@ export const unregisterDevice = internalMutation({
 
         if (!registration) return { deleted: false };
 
-        await ctx.db.delete(registration._id);
-
-        // Clean up: if device has no more registrations, delete the device
-        const remainingRegistrations = await ctx.db
-            .query("registrations")
-            .withIndex("by_device", (q) => q.eq("deviceId", device._id))
-            .first();
-
-        if (!remainingRegistrations) {
-            await ctx.db.delete(device._id);
-        }
+        await removeRegistration(ctx, registration);
 
         return { deleted: true };
     },
@@ -149,8 +212,10 @@ export const unregisterDevice = internalMutation({
  * Get serial numbers of passes registered to a device that have been updated
  * since a given timestamp.
  * Internal only — called via authenticated HTTP endpoint.
+ *
+ * Also records when the device last checked in, for the manage page.
  */
-export const getPassesForDevice = internalQuery({
+export const getPassesForDevice = internalMutation({
     args: {
         deviceLibraryIdentifier: v.string(),
         passTypeIdentifier: v.string(),
@@ -166,6 +231,11 @@ export const getPassesForDevice = internalQuery({
 
         if (!device) return { serialNumbers: [], lastUpdated: null };
 
+        const now = Date.now();
+        if (!device.lastCheckedAt || now - device.lastCheckedAt >= LAST_CHECKED_RESOLUTION_MS) {
+            await ctx.db.patch(device._id, { lastCheckedAt: now });
+        }
+
         const registrations = await ctx.db
             .query("registrations")
             .withIndex("by_device", (q) => q.eq("deviceId", device._id))
@@ -237,8 +307,8 @@ export const upsertPass = internalMutation({
         passTypeIdentifier: v.string(),
         serialNumber: v.string(),
         authenticationToken: v.string(),
-        cbordDeviceId: v.optional(v.string()),
-        cbordPin: v.optional(v.string()),
+        credentials: v.optional(sealedValue),
+        contentHash: v.optional(v.string()),
     },
     handler: async (ctx, args) => {
         const existingPass = await ctx.db
@@ -254,8 +324,16 @@ export const upsertPass = internalMutation({
             authenticationToken: args.authenticationToken,
             lastUpdated: Date.now(),
         };
-        if (args.cbordDeviceId !== undefined) patchData.cbordDeviceId = args.cbordDeviceId;
-        if (args.cbordPin !== undefined) patchData.cbordPin = args.cbordPin;
+        if (args.credentials !== undefined) {
+            // Fresh credentials: any relink or pending revocation no longer applies
+            patchData.credentials = args.credentials;
+            patchData.cbordDeviceId = undefined;
+            patchData.cbordPin = undefined;
+            patchData.credentialsInvalidAt = undefined;
+            patchData.relinkToken = undefined;
+            patchData.orphanedAt = undefined;
+        }
+        if (args.contentHash !== undefined) patchData.contentHash = args.contentHash;
 
         if (existingPass) {
             await ctx.db.patch(existingPass._id, patchData);
@@ -274,6 +352,9 @@ export const upsertPass = internalMutation({
 /**
  * Look up the CBORD GET credentials for a specific pass.
  * Used by the worker to authenticate with CBORD GET and fetch a fresh barcode.
+ * `credentials` is encrypted and only the Worker can open it; rows not yet
+ * migrated return the legacy plaintext fields instead. `relinkToken` is set
+ * when the credentials have stopped working.
  */
 export const getPassCredentials = internalQuery({
     args: {
@@ -290,8 +371,57 @@ export const getPassCredentials = internalQuery({
             )
             .unique();
 
-        if (!pass || !pass.cbordDeviceId || !pass.cbordPin) return null;
-        return { cbordDeviceId: pass.cbordDeviceId, cbordPin: pass.cbordPin };
+        if (!pass || !hasStoredCredentials(pass)) return null;
+        return {
+            credentials: pass.credentials ?? null,
+            cbordDeviceId: pass.cbordDeviceId ?? null,
+            cbordPin: pass.cbordPin ?? null,
+            // Present while the credentials are known to be rejected by GET
+            relinkToken: pass.relinkToken ?? null,
+        };
+    },
+});
+
+/**
+ * Record the latest account balances for a pass and return the change per field.
+ *
+ * A field's change is only recomputed when its balance moves, so every device
+ * that fetches the pass after a purchase gets the same change message — not
+ * just the first one to ask. Returns [] if the pass has no record yet.
+ */
+export const recordBalances = internalMutation({
+    args: {
+        passTypeIdentifier: v.string(),
+        serialNumber: v.string(),
+        balances: v.array(v.object({ key: v.string(), balance: v.number() })),
+    },
+    handler: async (ctx, args) => {
+        const pass = await ctx.db
+            .query("passes")
+            .withIndex("by_pass_type_and_serial", (q) =>
+                q
+                    .eq("passTypeIdentifier", args.passTypeIdentifier)
+                    .eq("serialNumber", args.serialNumber)
+            )
+            .unique();
+
+        if (!pass) return [];
+
+        const previous = new Map((pass.balances || []).map((b) => [b.key, b]));
+
+        const balances = args.balances.map(({ key, balance }) => {
+            const prev = previous.get(key);
+            if (!prev) return { key, balance };
+
+            // Round to cents to avoid float noise like 0.30000000000000004
+            const change = Math.round((balance - prev.balance) * 100) / 100;
+            if (change === 0) return prev;
+            return { key, balance, change };
+        });
+
+        await ctx.db.patch(pass._id, { balances });
+
+        return balances.map(({ key, change }) => ({ key, change }));
     },
 });
 
@@ -319,53 +449,275 @@ export const getPassAuthToken = internalQuery({
     },
 });
 
+// ─── Change Detection ────────────────────────────────────────────────
+
+/**
+ * Store the latest content hash for each pass. Only passes whose hash differs
+ * from the stored one get their lastUpdated bumped, so lastUpdated is when the
+ * pass content really last changed and Apple Wallet only re-downloads passes
+ * that actually changed.
+ *
+ * Passes that changed, or that a device or the download link just `fetched`,
+ * go back on the fast check cadence (see schedule.js).
+ *
+ * Returns, for each known pass, whether it changed and its lastUpdated.
+ */
+export const recordContentHashes = internalMutation({
+    args: {
+        hashes: v.array(
+            v.object({
+                passTypeIdentifier: v.string(),
+                serialNumber: v.string(),
+                contentHash: v.string(),
+            })
+        ),
+        fetched: v.optional(v.boolean()),
+    },
+    handler: async (ctx, args) => {
+        const now = Date.now();
+        const schedule = await loadPushSchedule(ctx);
+        const results = [];
+
+        for (const { passTypeIdentifier, serialNumber, contentHash } of args.hashes) {
+            const pass = await ctx.db
+                .query("passes")
+                .withIndex("by_pass_type_and_serial", (q) =>
+                    q
+                        .eq("passTypeIdentifier", passTypeIdentifier)
+                        .eq("serialNumber", serialNumber)
+                )
+                .unique();
+
+            if (!pass) continue;
+
+            const changed = pass.contentHash !== contentHash;
+            if (changed || args.fetched) {
+                await ctx.db.patch(pass._id, {
+                    ...(changed ? { contentHash, lastUpdated: now } : {}),
+                    ...activityFields(schedule, pass, now),
+                });
+            }
+
+            results.push({
+                passId: pass._id,
+                passTypeIdentifier,
+                serialNumber,
+                changed,
+                lastUpdated: changed ? now : pass.lastUpdated,
+            });
+        }
+
+        return results;
+    },
+});
+
 // ─── Push Notification Support ───────────────────────────────────────
 
 /**
- * Get all unique push tokens for registered devices.
+ * Get the push tokens to notify, one per unique (device, pass type) pair,
+ * for the devices registered for the given passes.
+ * Each entry carries its own pass's type identifier as the APNs topic, so a
+ * device holding passes of several types is pushed once per topic.
+ * Passes whose holder paused updates or is in their quiet hours are skipped,
+ * as are placeholder devices the daily cleanup hasn't deleted yet.
  * Used by the cron job to send APNs push notifications.
  */
 export const getAllPushTokens = internalQuery({
-    args: {},
-    handler: async (ctx) => {
-        const registrations = await ctx.db.query("registrations").collect();
+    args: {
+        passIds: v.array(v.id("passes")),
+    },
+    handler: async (ctx, args) => {
+        const registrations = (
+            await Promise.all(
+                args.passIds.map((passId) =>
+                    ctx.db
+                        .query("registrations")
+                        .withIndex("by_pass", (q) => q.eq("passId", passId))
+                        .collect()
+                )
+            )
+        ).flat();
 
         if (registrations.length === 0) return [];
 
-        // Get unique device IDs
         const deviceIds = [...new Set(registrations.map((r) => r.deviceId))];
-        const devices = await Promise.all(
-            deviceIds.map((id) => ctx.db.get(id))
-        );
-
-        // Also get pass type identifiers for APNs topic
         const passIds = [...new Set(registrations.map((r) => r.passId))];
-        const passes = await Promise.all(passIds.map((id) => ctx.db.get(id)));
+        const [devices, passes] = await Promise.all([
+            Promise.all(deviceIds.map((id) => ctx.db.get(id))),
+            Promise.all(passIds.map((id) => ctx.db.get(id))),
+        ]);
+        const schedule = await loadPushSchedule(ctx);
+        const now = Date.now();
+        const devicesById = new Map(devices.filter(Boolean).map((d) => [d._id, d]));
+        const passesById = new Map(
+            passes.filter((p) => p && pushesAllowed(schedule, p, now)).map((p) => [p._id, p])
+        );
 
-        const passTypeId =
-            passes.find((p) => p !== null)?.passTypeIdentifier || "";
+        const tokens = new Map();
+        for (const registration of registrations) {
+            const device = devicesById.get(registration.deviceId);
+            const pass = passesById.get(registration.passId);
+            if (!device || !pass || device.deviceLibraryIdentifier === PLACEHOLDER_DEVICE_ID) continue;
+
+            const key = `${device.pushToken}|${pass.passTypeIdentifier}`;
+            if (!tokens.has(key)) {
+                tokens.set(key, {
+                    pushToken: device.pushToken,
+                    passTypeIdentifier: pass.passTypeIdentifier,
+                });
+            }
+        }
 
-        return devices
-            .filter((d) => d !== null && d.deviceLibraryIdentifier !== "initial-download")
-            .map((d) => ({
-                pushToken: d.pushToken,
-                passTypeIdentifier: passTypeId,
-            }));
+        return [...tokens.values()];
     },
 });
 
+// ─── Push Delivery Tracking ──────────────────────────────────────────
+
+/**
+ * Delete a device and all of its registrations. Passes left without any
+ * device are scheduled for PIN revocation.
+ */
+export async function deleteDevice(ctx, deviceId) {
+    const registrations = await ctx.db
+        .query("registrations")
+        .withIndex("by_device", (q) => q.eq("deviceId", deviceId))
+        .collect();
+    await Promise.all(registrations.map((r) => ctx.db.delete(r._id)));
+    await ctx.db.delete(deviceId);
+
+    for (const r of registrations) {
+        await scheduleRevocationIfOrphaned(ctx, r.passId);
+    }
+}
+
+/**
+ * Delete a device's registrations for passes of the given types, after APNs
+ * said its token isn't valid for those topics. Deletes the device too if it
+ * has no passes left.
+ * @returns {Promise<boolean>} whether the device was deleted
+ */
+async function removeTopicRegistrations(ctx, deviceId, passTypeIdentifiers) {
+    const registrations = await ctx.db
+        .query("registrations")
+        .withIndex("by_device", (q) => q.eq("deviceId", deviceId))
+        .collect();
+
+    let remaining = registrations.length;
+    for (const registration of registrations) {
+        const pass = await ctx.db.get(registration.passId);
+        if (!pass || !passTypeIdentifiers.has(pass.passTypeIdentifier)) continue;
+
+        await ctx.db.delete(registration._id);
+        await scheduleRevocationIfOrphaned(ctx, registration.passId);
+        remaining--;
+    }
+
+    if (remaining > 0) return false;
+    await ctx.db.delete(deviceId);
+    return true;
+}
+
+/** Whether a delivery timestamp is unset or older than DELIVERY_STATS_RESOLUTION_MS. */
+function deliveryStatStale(at, now) {
+    return !at || now - at >= DELIVERY_STATS_RESOLUTION_MS;
+}
+
 /**
- * Mark all passes as updated (bump lastUpdated timestamp).
- * Called by the cron job before sending push notifications.
+ * Record APNs delivery results, one per (push token, pass type) pushed.
+ *
+ * A token is alive if any of its topics accepted the push, so success on one
+ * topic resets the device's failure count however the batch's results are
+ * ordered. A healthy device's lastPushAt and lastDeliveredAt are only
+ * rewritten once they're an hour old, so pushes to it rarely cost a write.
+ * Permanent failures (Unregistered, BadDeviceToken, …) delete the device and
+ * its registrations immediately. DeviceTokenNotForTopic only removes the device's registrations
+ * for that pass type, and the device once it has none left. Other failures
+ * count once per batch, and the device is deleted once it reaches
+ * MAX_CONSECUTIVE_PUSH_FAILURES.
+ *
+ * Returns { removed } — the number of devices deleted.
  */
-export const touchAllPasses = internalMutation({
-    args: {},
-    handler: async (ctx) => {
-        const passes = await ctx.db.query("passes").collect();
+export const recordPushResults = internalMutation({
+    args: {
+        results: v.array(
+            v.object({
+                pushToken: v.string(),
+                passTypeIdentifier: v.string(),
+                ok: v.boolean(),
+                reason: v.optional(v.string()),
+                permanent: v.optional(v.boolean()),
+                wrongTopic: v.optional(v.boolean()),
+            })
+        ),
+    },
+    handler: async (ctx, args) => {
         const now = Date.now();
-        await Promise.all(
-            passes.map((pass) => ctx.db.patch(pass._id, { lastUpdated: now }))
-        );
-        return passes.length;
+        let removed = 0;
+
+        const resultsByToken = new Map();
+        for (const result of args.results) {
+            if (!resultsByToken.has(result.pushToken)) resultsByToken.set(result.pushToken, []);
+            resultsByToken.get(result.pushToken).push(result);
+        }
+
+        for (const [pushToken, results] of resultsByToken) {
+            const delivered = results.filter((r) => r.ok).length;
+            const permanent = results.some((r) => r.permanent);
+            const wrongTopics = new Set(results.filter((r) => r.wrongTopic).map((r) => r.passTypeIdentifier));
+            const failure = results.find((r) => !r.ok && !r.permanent && !r.wrongTopic);
+
+            const devices = await ctx.db
+                .query("devices")
+                .withIndex("by_push_token", (q) => q.eq("pushToken", pushToken))
+                .collect();
+
+            for (const device of devices) {
+                if (permanent) {
+                    await deleteDevice(ctx, device._id);
+                    removed++;
+                    continue;
+                }
+                if (wrongTopics.size > 0 && (await removeTopicRegistrations(ctx, device._id, wrongTopics))) {
+                    removed++;
+                    continue;
+                }
+
+                if (delivered > 0) {
+                    if (device.failureCount || deliveryStatStale(device.lastDeliveredAt, now)) {
+                        await ctx.db.patch(device._id, {
+                            lastPushAt: now,
+                            lastDeliveredAt: now,
+                            failureCount: 0,
+                            firstFailureAt: undefined,
+                        });
+                    }
+                    continue;
+                }
+                if (!failure) {
+                    if (deliveryStatStale(device.lastPushAt, now)) {
+                        await ctx.db.patch(device._id, { lastPushAt: now });
+                    }
+                    continue;
+                }
+
+                const failureCount = (device.failureCount || 0) + 1;
+                if (failureCount >= MAX_CONSECUTIVE_PUSH_FAILURES) {
+                    await deleteDevice(ctx, device._id);
+                    removed++;
+                    continue;
+                }
+
+                await ctx.db.patch(device._id, {
+                    lastPushAt: now,
+                    failureCount,
+                    firstFailureAt: device.firstFailureAt || now,
+                    lastFailureAt: now,
+                    lastFailureReason: failure.reason,
+                });
+            }
+        }
+
+        return { removed };
     },
 });
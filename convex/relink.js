@@ -0,0 +1,114 @@
+import { internalMutation, internalQuery } from "./_generated/server";
+import { v } from "convex/values";
+import { sealedValue } from "./schema";
+
+// ─── Credential Re-linking ───────────────────────────────────────────
+
+/**
+ * Mark a pass's stored CBORD credentials as rejected by GET.
+ * Internal only — called via authenticated HTTP endpoint.
+ *
+ * The first call stores `relinkToken`; later calls keep the original token so
+ * the link on a pass that is already in Wallet keeps working.
+ * Returns the pass's relink token, or null if the pass doesn't exist.
+ */
+export const markCredentialsInvalid = internalMutation({
+    args: {
+        passTypeIdentifier: v.string(),
+        serialNumber: v.string(),
+        relinkToken: v.string(),
+    },
+    handler: async (ctx, args) => {
+        const pass = await ctx.db
+            .query("passes")
+            .withIndex("by_pass_type_and_serial", (q) =>
+                q
+                    .eq("passTypeIdentifier", args.passTypeIdentifier)
+                    .eq("serialNumber", args.serialNumber)
+            )
+            .unique();
+
+        if (!pass) return null;
+        if (pass.relinkToken) return pass.relinkToken;
+
+        await ctx.db.patch(pass._id, {
+            credentialsInvalidAt: Date.now(),
+            relinkToken: args.relinkToken,
+        });
+        return args.relinkToken;
+    },
+});
+
+/**
+ * Look up the pass waiting to be re-linked with a relink token.
+ * Internal only — called via authenticated HTTP endpoint.
+ *
+ * Returns { passTypeIdentifier, serialNumber, hasPatron }, or null if the token
+ * is unknown (never issued, or already used). `hasPatron` says whether the pass
+ * is recorded as some GET patron's; passes from before that was recorded
+ * aren't.
+ */
+export const getRelinkPass = internalQuery({
+    args: {
+        relinkToken: v.string(),
+    },
+    handler: async (ctx, args) => {
+        const pass = await ctx.db
+            .query("passes")
+            .withIndex("by_relink_token", (q) => q.eq("relinkToken", args.relinkToken))
+            .unique();
+
+        if (!pass) return null;
+
+        const user = await ctx.db
+            .query("users")
+            .withIndex("by_pass", (q) => q.eq("passId", pass._id))
+            .first();
+        return {
+            passTypeIdentifier: pass.passTypeIdentifier,
+            serialNumber: pass.serialNumber,
+            hasPatron: user !== null,
+        };
+    },
+});
+
+/**
+ * Bind new CBORD credentials to the pass waiting on a relink token.
+ * Internal only — called via authenticated HTTP endpoint.
+ *
+ * `credentials` is the new deviceId + PIN, encrypted by the Worker. Clears the
+ * invalid flag and token (so the link is single-use), and resets the content
+ * hash and balance history so the next change check pushes the restored pass
+ * to every device without a stale change message.
+ * Returns { passTypeIdentifier, serialNumber }, or null if the token is unknown.
+ */
+export const relinkPass = internalMutation({
+    args: {
+        relinkToken: v.string(),
+        credentials: sealedValue,
+    },
+    handler: async (ctx, args) => {
+        const pass = await ctx.db
+            .query("passes")
+            .withIndex("by_relink_token", (q) => q.eq("relinkToken", args.relinkToken))
+            .unique();
+
+        if (!pass) return null;
+
+        await ctx.db.patch(pass._id, {
+            credentials: args.credentials,
+            cbordDeviceId: undefined,
+            cbordPin: undefined,
+            credentialsInvalidAt: undefined,
+            relinkToken: undefined,
+            contentHash: undefined,
+            balances: undefined,
+            lastUpdated: Date.now(),
+        });
+
+        return {
+            passTypeIdentifier: pass.passTypeIdentifier,
+            serialNumber: pass.serialNumber,
+        };
+    },
+});
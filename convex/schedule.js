@@ -0,0 +1,432 @@
+import { internalMutation, internalQuery } from "./_generated/server";
+import { v } from "convex/values";
+import { serviceWindow } from "./schema";
+
+// Used until a schedule is saved with setPushSchedule. Service windows follow
+// the usual UCSC dining hall hours; update them each term.
+const DEFAULT_PUSH_SCHEDULE = {
+    timeZone: "America/Los_Angeles",
+    serviceWindows: [
+        { name: "Breakfast & lunch", days: ["Mon", "Tue", "Wed", "Thu", "Fri"], start: "07:00", end: "14:00" },
+        { name: "Brunch", days: ["Sat", "Sun"], start: "10:00", end: "14:00" },
+        { name: "Dinner", days: ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"], start: "17:00", end: "20:00" },
+        { name: "Late night", days: ["Mon", "Tue", "Wed", "Thu"], start: "21:00", end: "23:00" },
+    ],
+    // The cron ticks every 10 seconds (crons.js), so shorter intervals act as 10
+    activeIntervalSeconds: 10,
+    activeWindowMinutes: 15,
+    serviceIntervalSeconds: 60,
+    idleMinIntervalSeconds: 5 * 60,
+    idleMaxIntervalSeconds: 2 * 60 * 60,
+};
+
+const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTE_MS = 60 * 1000;
+
+// Outside service windows a pass is checked again after a quarter of the time
+// it has been quiet, e.g. hourly once nothing has happened for 4 hours.
+const IDLE_BACKOFF_DIVISOR = 4;
+
+// Preferences of a pass whose holder never changed them.
+const DEFAULT_PREFERENCES = { frequency: "auto", paused: false };
+
+const PUSH_FREQUENCIES = ["auto", "dining", "hourly"];
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Claimed passes and open check lanes are held this long. Convex stops an
+// action after 10 minutes, so a check still running never loses its claim,
+// and a lane or claim whose action died is freed again.
+const CHECK_LEASE_MS = 10 * MINUTE_MS;
+
+// ─── Schedule Config ─────────────────────────────────────────────────
+
+/**
+ * The saved push schedule, or the defaults if none has been saved.
+ */
+export async function loadPushSchedule(ctx) {
+    const saved = await ctx.db.query("pushSchedule").first();
+    if (!saved) return DEFAULT_PUSH_SCHEDULE;
+    const { _id, _creationTime, ...schedule } = saved;
+    return schedule;
+}
+
+/** "HH:MM" → minutes after midnight, or NaN if malformed. */
+function parseClock(text) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(text);
+    return match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+}
+
+/**
+ * Throw if a schedule can't be used, so a typo can't stop pushes.
+ */
+function validatePushSchedule(schedule) {
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone: schedule.timeZone });
+    } catch {
+        throw new Error(`Unknown time zone "${schedule.timeZone}"`);
+    }
+
+    for (const window of schedule.serviceWindows) {
+        const label = window.name || `${window.start}–${window.end}`;
+        const unknownDay = window.days.find((day) => !DAYS.includes(day));
+        if (unknownDay) throw new Error(`Service window "${label}" has unknown day "${unknownDay}" (use ${DAYS.join(", ")})`);
+
+        const start = parseClock(window.start);
+        const end = parseClock(window.end);
+        if (Number.isNaN(start) || Number.isNaN(end) || end <= start) {
+            throw new Error(`Service window "${label}" needs "HH:MM" start and end times, with end after start`);
+        }
+    }
+
+    for (const field of [
+        "activeIntervalSeconds",
+        "activeWindowMinutes",
+        "serviceIntervalSeconds",
+        "idleMinIntervalSeconds",
+        "idleMaxIntervalSeconds",
+    ]) {
+        if (!(schedule[field] > 0)) throw new Error(`${field} must be a positive number`);
+    }
+    if (schedule.idleMaxIntervalSeconds < schedule.idleMinIntervalSeconds) {
+        throw new Error("idleMaxIntervalSeconds must be at least idleMinIntervalSeconds");
+    }
+}
+
+/**
+ * The push schedule in effect.
+ *
+ *   npx convex run schedule:getPushSchedule
+ */
+export const getPushSchedule = internalQuery({
+    args: {},
+    handler: async (ctx) => loadPushSchedule(ctx),
+});
+
+/**
+ * Change the push schedule. Fields left out keep their current value, e.g.
+ *
+ *   npx convex run schedule:setPushSchedule '{"serviceIntervalSeconds": 30}'
+ *
+ * `serviceWindows` replaces the whole list. Passes pick up the new schedule
+ * the next time they are checked.
+ * Returns the saved schedule.
+ */
+export const setPushSchedule = internalMutation({
+    args: {
+        timeZone: v.optional(v.string()),
+        serviceWindows: v.optional(v.array(serviceWindow)),
+        activeIntervalSeconds: v.optional(v.number()),
+        activeWindowMinutes: v.optional(v.number()),
+        serviceIntervalSeconds: v.optional(v.number()),
+        idleMinIntervalSeconds: v.optional(v.number()),
+        idleMaxIntervalSeconds: v.optional(v.number()),
+    },
+    handler: async (ctx, args) => {
+        const changes = Object.fromEntries(Object.entries(args).filter(([, value]) => value !== undefined));
+        const schedule = { ...(await loadPushSchedule(ctx)), ...changes };
+        validatePushSchedule(schedule);
+
+        const saved = await ctx.db.query("pushSchedule").first();
+        if (saved) {
+            await ctx.db.replace(saved._id, schedule);
+        } else {
+            await ctx.db.insert("pushSchedule", schedule);
+        }
+        return schedule;
+    },
+});
+
+// ─── Pass Preferences ────────────────────────────────────────────────
+
+/**
+ * A pass's preferences, with defaults for anything its holder hasn't set.
+ */
+export function preferencesFor(pass) {
+    return { ...DEFAULT_PREFERENCES, ...pass.preferences };
+}
+
+/**
+ * Why a set of preferences can't be saved, or null if it can.
+ * @returns {string|null} a message for the pass holder
+ */
+export function preferencesError({ frequency, quietStart, quietEnd }) {
+    if (!PUSH_FREQUENCIES.includes(frequency)) return "Pick how often your pass should update.";
+    if ((quietStart === undefined) !== (quietEnd === undefined)) {
+        return "Quiet hours need both a start and an end time.";
+    }
+    if (quietStart !== undefined && (Number.isNaN(parseClock(quietStart)) || Number.isNaN(parseClock(quietEnd)))) {
+        return "Quiet hours need times like 23:00.";
+    }
+    if (quietStart !== undefined && quietStart === quietEnd) {
+        return "Quiet hours need different start and end times.";
+    }
+    return null;
+}
+
+// ─── Next Check Time ─────────────────────────────────────────────────
+
+/**
+ * Day of the week and minutes after midnight at `now` in a time zone.
+ * @returns {{day:number, minutes:number}} day 0 = Sunday
+ */
+function localTime(now, timeZone) {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat("en-US", {
+            timeZone,
+            weekday: "short",
+            hour: "2-digit",
+            minute: "2-digit",
+            hourCycle: "h23",
+        })
+            .formatToParts(new Date(now))
+            .map(({ type, value }) => [type, value])
+    );
+    return {
+        day: DAYS.indexOf(parts.weekday),
+        minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    };
+}
+
+function inServiceWindow(schedule, { day, minutes }) {
+    return schedule.serviceWindows.some(
+        (window) =>
+            window.days.includes(DAYS[day]) &&
+            minutes >= parseClock(window.start) &&
+            minutes < parseClock(window.end)
+    );
+}
+
+/**
+ * Minutes until the next service window opens (Infinity if there are none).
+ * Counted in local wall-clock time, so it can be an hour off across a DST
+ * change, which only makes one idle check early or late.
+ */
+function minutesUntilNextWindow(schedule, { day, minutes }) {
+    let soonest = Infinity;
+    for (let offset = 0; offset <= 7; offset++) {
+        const dayName = DAYS[(day + offset) % 7];
+        for (const window of schedule.serviceWindows) {
+            if (!window.days.includes(dayName)) continue;
+            const until = offset * MINUTES_PER_DAY + parseClock(window.start) - minutes;
+            if (until > 0) soonest = Math.min(soonest, until);
+        }
+    }
+    return soonest;
+}
+
+/**
+ * Minutes until a pass's quiet hours end, or 0 if they aren't on now.
+ */
+function minutesLeftInQuietHours({ quietStart, quietEnd }, { minutes }) {
+    if (quietStart === undefined) return 0;
+    const start = parseClock(quietStart);
+    const end = parseClock(quietEnd);
+    // Quiet hours like 23:00–07:00 wrap past midnight
+    const inQuietHours = start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+    if (!inQuietHours) return 0;
+    return (end - minutes + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+}
+
+/**
+ * Whether a pass may be checked and pushed to right now: its holder hasn't
+ * paused updates and it isn't in their quiet hours.
+ */
+export function pushesAllowed(schedule, pass, now = Date.now()) {
+    const preferences = preferencesFor(pass);
+    return !preferences.paused && minutesLeftInQuietHours(preferences, localTime(now, schedule.timeZone)) === 0;
+}
+
+/**
+ * How long until the next check under the push schedule alone:
+ * - within activeWindowMinutes of activity (fetched, registered or changed),
+ *   activeIntervalSeconds
+ * - during a service window, serviceIntervalSeconds
+ * - otherwise a quarter of the time the pass has been quiet, between
+ *   idleMinIntervalSeconds and idleMaxIntervalSeconds, but no later than the
+ *   start of the next service window ("dining" passes wait for it)
+ */
+function checkIntervalMs(schedule, pass, frequency, now, local) {
+    const lastActivity = pass.lastActivityAt ?? pass.lastUpdated;
+    const quietMs = lastActivity === undefined ? Infinity : now - lastActivity;
+    if (quietMs < schedule.activeWindowMinutes * MINUTE_MS) {
+        return schedule.activeIntervalSeconds * 1000;
+    }
+
+    if (inServiceWindow(schedule, local)) {
+        return schedule.serviceIntervalSeconds * 1000;
+    }
+
+    const untilWindowMs = minutesUntilNextWindow(schedule, local) * MINUTE_MS;
+    const maxIdleMs = schedule.idleMaxIntervalSeconds * 1000;
+    if (frequency === "dining") {
+        // No windows at all: still look in now and then rather than never
+        return Number.isFinite(untilWindowMs) ? untilWindowMs : maxIdleMs;
+    }
+
+    const idleMs = Math.min(Math.max(quietMs / IDLE_BACKOFF_DIVISOR, schedule.idleMinIntervalSeconds * 1000), maxIdleMs);
+    return Math.min(idleMs, untilWindowMs);
+}
+
+/**
+ * When a pass should next be checked for new GET data: per the push schedule
+ * (see checkIntervalMs), then adjusted for its holder's preferences. A
+ * paused pass is only looked at again after idleMaxIntervalSeconds, quiet
+ * hours push the check to their end, and "hourly" passes wait at least an hour.
+ *
+ * @param {object} schedule – from loadPushSchedule
+ * @param {{lastActivityAt?:number, lastUpdated?:number, preferences?:object}} pass
+ * @returns {number} epoch ms
+ */
+export function nextCheckTime(schedule, pass, now = Date.now()) {
+    const preferences = preferencesFor(pass);
+    if (preferences.paused) return now + schedule.idleMaxIntervalSeconds * 1000;
+
+    const local = localTime(now, schedule.timeZone);
+    const quietMinutesLeft = minutesLeftInQuietHours(preferences, local);
+    if (quietMinutesLeft > 0) return now + quietMinutesLeft * MINUTE_MS;
+
+    const intervalMs = checkIntervalMs(schedule, pass, preferences.frequency, now, local);
+    return now + (preferences.frequency === "hourly" ? Math.max(intervalMs, HOUR_MS) : intervalMs);
+}
+
+/**
+ * Fields to patch onto a pass that was just fetched, registered or changed,
+ * putting it back on the fast cadence (as far as its preferences allow).
+ */
+export function activityFields(schedule, pass, now = Date.now()) {
+    return { lastActivityAt: now, nextCheckAt: nextCheckTime(schedule, { ...pass, lastActivityAt: now }, now) };
+}
+
+// ─── Due Passes ──────────────────────────────────────────────────────
+
+/**
+ * Open a check lane, unless `maxLanes` are already open or no pass is due.
+ * A lane checks one page of passes at a time (see checkPasses in
+ * pushNotifications.js), so the number of open lanes bounds the Worker calls
+ * in flight across all cron ticks. Lanes whose lease ran out are closed first.
+ * Returns the new lane's ID, or null.
+ */
+export const openCheckLane = internalMutation({
+    args: {
+        maxLanes: v.number(),
+    },
+    handler: async (ctx, args) => {
+        const now = Date.now();
+        const lanes = await ctx.db.query("checkLanes").collect();
+        const expired = lanes.filter((lane) => lane.leaseExpiresAt <= now);
+        await Promise.all(expired.map((lane) => ctx.db.delete(lane._id)));
+        if (lanes.length - expired.length >= args.maxLanes) return null;
+
+        const due = await ctx.db
+            .query("passes")
+            .withIndex("by_next_check_at", (q) => q.lte("nextCheckAt", now))
+            .first();
+        if (!due) return null;
+
+        return ctx.db.insert("checkLanes", { leaseExpiresAt: now + CHECK_LEASE_MS });
+    },
+});
+
+/**
+ * Close a check lane, freeing its slot for a later cron tick.
+ */
+export const closeCheckLane = internalMutation({
+    args: {
+        laneId: v.id("checkLanes"),
+    },
+    handler: async (ctx, args) => {
+        if (await ctx.db.get(args.laneId)) await ctx.db.delete(args.laneId);
+    },
+});
+
+/**
+ * Claim up to `limit` passes whose next check is due for a check lane,
+ * renewing the lane's lease. Claimed passes aren't due again until
+ * CHECK_LEASE_MS has passed, so no other lane claims them while their check
+ * runs; rescheduleCheckedPasses sets their real next check once it's done.
+ * Passes without a registered device, and passes that are paused or in quiet
+ * hours, are rescheduled but not returned.
+ *
+ * Claimed passes leave the due range, so calling this again returns the next
+ * page. Returns { passes, isDone } — the registered passes to check, and
+ * whether no due passes are left. A lane that finds none left is closed.
+ */
+export const claimDuePasses = internalMutation({
+    args: {
+        laneId: v.id("checkLanes"),
+        limit: v.number(),
+    },
+    handler: async (ctx, args) => {
+        const now = Date.now();
+        const lane = await ctx.db.get(args.laneId);
+        if (!lane) return { passes: [], isDone: true };
+
+        const schedule = await loadPushSchedule(ctx);
+
+        // Passes never scheduled have no nextCheckAt, which sorts first, so
+        // they are due straight away
+        const due = await ctx.db
+            .query("passes")
+            .withIndex("by_next_check_at", (q) => q.lte("nextCheckAt", now))
+            .take(args.limit);
+
+        const claimed = [];
+        for (const pass of due) {
+            const registration = pushesAllowed(schedule, pass, now)
+                ? await ctx.db
+                      .query("registrations")
+                      .withIndex("by_pass", (q) => q.eq("passId", pass._id))
+                      .first()
+                : null;
+            if (!registration) {
+                await ctx.db.patch(pass._id, { nextCheckAt: nextCheckTime(schedule, pass, now) });
+                continue;
+            }
+
+            await ctx.db.patch(pass._id, { nextCheckAt: now + CHECK_LEASE_MS });
+            claimed.push({
+                passTypeIdentifier: pass.passTypeIdentifier,
+                serialNumber: pass.serialNumber,
+            });
+        }
+
+        const isDone = due.length < args.limit;
+        if (isDone && claimed.length === 0) {
+            await ctx.db.delete(lane._id);
+        } else {
+            await ctx.db.patch(lane._id, { leaseExpiresAt: now + CHECK_LEASE_MS });
+        }
+        return { passes: claimed, isDone };
+    },
+});
+
+/**
+ * Schedule the next check of passes whose check just finished, whether or
+ * not the Worker could refresh them, so a failing pass isn't retried on every
+ * tick.
+ */
+export const rescheduleCheckedPasses = internalMutation({
+    args: {
+        passes: v.array(
+            v.object({
+                passTypeIdentifier: v.string(),
+                serialNumber: v.string(),
+            })
+        ),
+    },
+    handler: async (ctx, args) => {
+        const now = Date.now();
+        const schedule = await loadPushSchedule(ctx);
+
+        for (const { passTypeIdentifier, serialNumber } of args.passes) {
+            const pass = await ctx.db
+                .query("passes")
+                .withIndex("by_pass_type_and_serial", (q) =>
+                    q.eq("passTypeIdentifier", passTypeIdentifier).eq("serialNumber", serialNumber)
+                )
+                .unique();
+            if (pass) await ctx.db.patch(pass._id, { nextCheckAt: nextCheckTime(schedule, pass, now) });
+        }
+    },
+});
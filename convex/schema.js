@@ -1,20 +1,99 @@
 import { defineSchema, defineTable } from "convex/server";
 import { v } from "convex/values";
 
+// A value encrypted by the Worker (src/credentialVault.js): AES-GCM ciphertext,
+// its data key wrapped with the Worker-only key, and that key's version.
+export const sealedValue = v.object({
+    ciphertext: v.string(),
+    wrappedKey: v.string(),
+    keyVersion: v.string(),
+});
+
+// A dining-hall service period in the push schedule, in the schedule's time
+// zone: days as "Mon".."Sun", times as "HH:MM" (24-hour, same day).
+export const serviceWindow = v.object({
+    name: v.optional(v.string()),
+    days: v.array(v.string()),
+    start: v.string(),
+    end: v.string(),
+});
+
+// How often a pass holder wants their pass refreshed, set on the manage page.
+// Quiet hours are "HH:MM" in the push schedule's time zone and may wrap past
+// midnight.
+export const passPreferences = v.object({
+    // "auto" follows the push schedule, "dining" skips checks outside dining
+    // hall hours unless the pass was just used, "hourly" checks at most hourly
+    frequency: v.union(v.literal("auto"), v.literal("dining"), v.literal("hourly")),
+    quietStart: v.optional(v.string()),
+    quietEnd: v.optional(v.string()),
+    paused: v.boolean(),
+});
+
 export default defineSchema({
     devices: defineTable({
         deviceLibraryIdentifier: v.string(),
         pushToken: v.string(),
-    }).index("by_device_lib_id", ["deviceLibraryIdentifier"]),
+        // Consecutive APNs delivery failures; reset on the next successful push
+        failureCount: v.optional(v.number()),
+        firstFailureAt: v.optional(v.number()),
+        lastFailureAt: v.optional(v.number()),
+        lastFailureReason: v.optional(v.string()),
+        // When Wallet on this device last asked which of its passes changed
+        lastCheckedAt: v.optional(v.number()),
+        // When APNs last answered a push to this token, and last accepted one;
+        // connection and provider-token errors don't count. Only rewritten
+        // hourly while the device is healthy (registrations.js).
+        lastPushAt: v.optional(v.number()),
+        lastDeliveredAt: v.optional(v.number()),
+    })
+        .index("by_device_lib_id", ["deviceLibraryIdentifier"])
+        .index("by_push_token", ["pushToken"])
+        .index("by_first_failure_at", ["firstFailureAt"]),
 
     passes: defineTable({
         passTypeIdentifier: v.string(),
         serialNumber: v.string(),
         authenticationToken: v.string(),
         lastUpdated: v.number(),
+        // CBORD deviceId + PIN, encrypted by the Worker
+        credentials: v.optional(sealedValue),
+        // Legacy plaintext credentials; moved into `credentials` by credentials:rotateCredentials
         cbordDeviceId: v.optional(v.string()),
         cbordPin: v.optional(v.string()),
-    }).index("by_pass_type_and_serial", ["passTypeIdentifier", "serialNumber"]),
+        // SHA-256 of the GET data last seen for this pass (barcode, balances, transactions)
+        contentHash: v.optional(v.string()),
+        // Last balance seen per account field key, and the change that produced it
+        balances: v.optional(
+            v.array(
+                v.object({
+                    key: v.string(),
+                    balance: v.number(),
+                    change: v.optional(v.number()),
+                })
+            )
+        ),
+        // Set when GET rejects the stored credentials; the pass is voided and
+        // links to /relink?token=<relinkToken> until the user logs in again
+        credentialsInvalidAt: v.optional(v.number()),
+        relinkToken: v.optional(v.string()),
+        // Set when the last registration goes away; the PIN is revoked once
+        // the grace period passes unless a device registers again
+        orphanedAt: v.optional(v.number()),
+        // Secret for the /manage?token=<manageToken> link on the back of the pass
+        manageToken: v.optional(v.string()),
+        // Last time the pass was fetched, registered or its content changed
+        lastActivityAt: v.optional(v.number()),
+        // When the push cron next checks the pass for new GET data (schedule.js)
+        nextCheckAt: v.optional(v.number()),
+        // Update frequency, quiet hours and pause; defaults apply when unset
+        preferences: v.optional(passPreferences),
+    })
+        .index("by_pass_type_and_serial", ["passTypeIdentifier", "serialNumber"])
+        .index("by_relink_token", ["relinkToken"])
+        .index("by_manage_token", ["manageToken"])
+        .index("by_next_check_at", ["nextCheckAt"])
+        .index("by_orphaned_at", ["orphanedAt"]),
 
     registrations: defineTable({
         deviceId: v.id("devices"),
@@ -23,4 +102,154 @@ export default defineSchema({
         .index("by_device", ["deviceId"])
         .index("by_pass", ["passId"])
         .index("by_device_and_pass", ["deviceId", "passId"]),
+
+    // One pass per GET patron, so signing up again reuses the same pass
+    users: defineTable({
+        // Keyed hash of the GET patron ID, computed by the Worker
+        patronKey: v.string(),
+        passId: v.id("passes"),
+    })
+        .index("by_patron_key", ["patronKey"])
+        .index("by_pass", ["passId"]),
+
+    // Single-use links for downloading a pass after sign-up
+    downloadTokens: defineTable({
+        // SHA-256 of the token; the token itself is only ever in the download URL
+        tokenHash: v.string(),
+        passId: v.id("passes"),
+        expiresAt: v.number(),
+    })
+        .index("by_token_hash", ["tokenHash"])
+        .index("by_pass", ["passId"])
+        .index("by_expires_at", ["expiresAt"]),
+
+    // Fixed-window request counters for the Worker's rate limits
+    rateLimits: defineTable({
+        // Limit name + keyed hash of the client IP or serial number
+        key: v.string(),
+        count: v.number(),
+        // Epoch ms when the window ends and the count resets
+        expiresAt: v.number(),
+    })
+        .index("by_key", ["key"])
+        .index("by_expires_at", ["expiresAt"]),
+
+    // Cached GET sessions, so pass refreshes don't log in every time
+    sessions: defineTable({
+        // Keyed hash of the CBORD deviceId, computed by the Worker
+        sessionKey: v.optional(v.string()),
+        // GET session ID, encrypted by the Worker
+        session: v.optional(sealedValue),
+        expiresAt: v.number(),
+        // Legacy plaintext rows; deleted by credentials:rotateCredentials
+        cbordDeviceId: v.optional(v.string()),
+        sessionId: v.optional(v.string()),
+    })
+        .index("by_session_key", ["sessionKey"])
+        .index("by_expires_at", ["expiresAt"]),
+
+    // One row per garbage collection run (gc.js), recording what it deleted
+    gcRuns: defineTable({
+        startedAt: v.number(),
+        finishedAt: v.number(),
+        // Never-registered passes whose PIN was revoked and record deleted
+        expiredPasses: v.number(),
+        // Expired passes left for the next run because the PIN couldn't be revoked
+        revokeFailures: v.number(),
+        // Devices whose pushes kept failing for the whole window
+        failingDevices: v.number(),
+        // Placeholder "initial-download" devices from old versions
+        placeholderDevices: v.number(),
+        // Orphaned passes whose scheduled revocation had failed, revoked now
+        // or left for the next run (optional: older runs don't have them)
+        revokedOrphans: v.optional(v.number()),
+        orphanRevokeFailures: v.optional(v.number()),
+        // Expired rows swept from tables that only clean up opportunistically
+        expiredSessions: v.number(),
+        expiredDownloadTokens: v.number(),
+        expiredRateLimits: v.number(),
+        // Optional: runs from before push run history existed don't have it
+        expiredPushRuns: v.optional(v.number()),
+        expiredDeviceLogs: v.optional(v.number()),
+    }).index("by_started_at", ["startedAt"]),
+
+    // One row per push cron tick that had passes to check (pushMetrics.js).
+    // Its check and push batches add their counts as they finish.
+    pushRuns: defineTable({
+        startedAt: v.number(),
+        // When the last batch of the run reported in
+        finishedAt: v.number(),
+        expiresAt: v.number(),
+        claimedPasses: v.number(),
+        checkBatches: v.number(),
+        refreshedPasses: v.number(),
+        refreshFailures: v.number(),
+        changedPasses: v.number(),
+        pushBatches: v.number(),
+        pushes: v.number(),
+        succeeded: v.number(),
+        failed: v.number(),
+        // Pushes skipped because their pass type has no APNs key configured
+        unconfigured: v.number(),
+        // Failed pushes per APNs reason ("HTTP <status>" without one,
+        // "ConnectionError" when APNs couldn't be reached)
+        failureReasons: v.array(v.object({ reason: v.string(), count: v.number() })),
+        // APNs round trip per push, including retries
+        totalLatencyMs: v.number(),
+        maxLatencyMs: v.number(),
+        // Provider JWTs taken from the cache vs signed, per APNs connection
+        jwtReused: v.number(),
+        jwtSigned: v.number(),
+    })
+        .index("by_started_at", ["startedAt"])
+        .index("by_expires_at", ["expiresAt"]),
+
+    // How often passes are checked for new GET data (schedule.js). A single
+    // row; the defaults in schedule.js apply until it is first saved.
+    pushSchedule: defineTable({
+        // IANA time zone the service windows are in
+        timeZone: v.string(),
+        serviceWindows: v.array(serviceWindow),
+        // Right after a pass is fetched or changes
+        activeIntervalSeconds: v.number(),
+        activeWindowMinutes: v.number(),
+        // During a service window
+        serviceIntervalSeconds: v.number(),
+        // Otherwise, backing off the longer the pass stays quiet
+        idleMinIntervalSeconds: v.number(),
+        idleMaxIntervalSeconds: v.number(),
+    }),
+
+    // Signed APNs provider tokens (JWTs), shared by concurrent push batches.
+    // APNs accepts a token for an hour and rejects keys that change theirs
+    // more often than every 20 minutes.
+    apnsProviderTokens: defineTable({
+        keyId: v.string(),
+        teamId: v.string(),
+        token: v.string(),
+        issuedAt: v.number(),
+    }).index("by_key", ["keyId", "teamId"]),
+
+    // Check lanes open right now (schedule.js). Each runs one page of pass
+    // checks at a time, so their number bounds the Worker calls in flight.
+    checkLanes: defineTable({
+        // Renewed whenever the lane claims a page; freed once it runs out
+        leaseExpiresAt: v.number(),
+    }),
+
+    // Lines Apple Wallet sent to POST /v1/log that name one of our passes
+    // (deviceLogs.js). Deleted with the pass.
+    deviceLogs: defineTable({
+        passId: v.id("passes"),
+        passTypeIdentifier: v.string(),
+        serialNumber: v.string(),
+        // auth, http, network, malformed, unchanged or other
+        category: v.string(),
+        message: v.string(),
+        receivedAt: v.number(),
+        expiresAt: v.number(),
+    })
+        .index("by_pass", ["passId"])
+        .index("by_serial_number", ["serialNumber"])
+        .index("by_expires_at", ["expiresAt"]),
 });
@@ -0,0 +1,78 @@
+import { internalMutation, internalQuery } from "./_generated/server";
+import { v } from "convex/values";
+import { sealedValue } from "./schema";
+
+// ─── GET Session Cache ───────────────────────────────────────────────
+
+/**
+ * Look up the cached GET session for a session key (the Worker's keyed hash of
+ * a CBORD deviceId).
+ * Internal only — called via authenticated HTTP endpoint.
+ *
+ * Returns the encrypted session, or null if there is none or it has expired.
+ */
+export const getSession = internalQuery({
+    args: {
+        sessionKey: v.string(),
+    },
+    handler: async (ctx, args) => {
+        const session = await ctx.db
+            .query("sessions")
+            .withIndex("by_session_key", (q) => q.eq("sessionKey", args.sessionKey))
+            .unique();
+
+        if (!session || !session.session || session.expiresAt <= Date.now()) return null;
+        return session.session;
+    },
+});
+
+/**
+ * Cache an encrypted GET session for a session key, replacing any previous one.
+ * Internal only — called via authenticated HTTP endpoint.
+ */
+export const storeSession = internalMutation({
+    args: {
+        sessionKey: v.string(),
+        session: sealedValue,
+        expiresAt: v.number(),
+    },
+    handler: async (ctx, args) => {
+        const existing = await ctx.db
+            .query("sessions")
+            .withIndex("by_session_key", (q) => q.eq("sessionKey", args.sessionKey))
+            .unique();
+
+        if (existing) {
+            await ctx.db.patch(existing._id, {
+                session: args.session,
+                expiresAt: args.expiresAt,
+            });
+        } else {
+            await ctx.db.insert("sessions", args);
+        }
+
+        return { ok: true };
+    },
+});
+
+/**
+ * Drop the cached GET session for a session key (e.g. GET reported it expired).
+ * Internal only — called via authenticated HTTP endpoint.
+ */
+export const clearSession = internalMutation({
+    args: {
+        sessionKey: v.string(),
+    },
+    handler: async (ctx, args) => {
+        const existing = await ctx.db
+            .query("sessions")
+            .withIndex("by_session_key", (q) => q.eq("sessionKey", args.sessionKey))
+            .unique();
+
+        if (existing) {
+            await ctx.db.delete(existing._id);
+        }
+
+        return { deleted: !!existing };
+    },
+});
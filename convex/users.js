@@ -0,0 +1,84 @@
+import { internalMutation, internalQuery } from "./_generated/server";
+import { v } from "convex/values";
+
+// ─── GET Users ───────────────────────────────────────────────────────
+
+/**
+ * Find the pass already issued to a GET patron.
+ * Internal only — called via authenticated HTTP endpoint.
+ *
+ * `patronKeys` are the Worker's keyed hashes of the patron ID, one per
+ * credentials key version (current first), so users recorded before a key
+ * rotation are still found.
+ * Returns { passTypeIdentifier, serialNumber, authenticationToken }, or null.
+ */
+export const findUserPass = internalQuery({
+    args: {
+        patronKeys: v.array(v.string()),
+    },
+    handler: async (ctx, args) => {
+        for (const patronKey of args.patronKeys) {
+            const user = await ctx.db
+                .query("users")
+                .withIndex("by_patron_key", (q) => q.eq("patronKey", patronKey))
+                .unique();
+            if (!user) continue;
+
+            const pass = await ctx.db.get(user.passId);
+            if (!pass) return null;
+            return {
+                passTypeIdentifier: pass.passTypeIdentifier,
+                serialNumber: pass.serialNumber,
+                authenticationToken: pass.authenticationToken,
+            };
+        }
+        return null;
+    },
+});
+
+/**
+ * Record which pass belongs to a GET patron, replacing any record under an
+ * older key version.
+ * Internal only — called via authenticated HTTP endpoint.
+ */
+export const upsertUser = internalMutation({
+    args: {
+        patronKeys: v.array(v.string()),
+        passTypeIdentifier: v.string(),
+        serialNumber: v.string(),
+    },
+    handler: async (ctx, args) => {
+        const pass = await ctx.db
+            .query("passes")
+            .withIndex("by_pass_type_and_serial", (q) =>
+                q
+                    .eq("passTypeIdentifier", args.passTypeIdentifier)
+                    .eq("serialNumber", args.serialNumber)
+            )
+            .unique();
+
+        if (!pass) return { ok: false };
+
+        const [patronKey, ...olderKeys] = args.patronKeys;
+        for (const key of olderKeys) {
+            const stale = await ctx.db
+                .query("users")
+                .withIndex("by_patron_key", (q) => q.eq("patronKey", key))
+                .unique();
+            if (stale) await ctx.db.delete(stale._id);
+        }
+
+        const existing = await ctx.db
+            .query("users")
+            .withIndex("by_patron_key", (q) => q.eq("patronKey", patronKey))
+            .unique();
+
+        if (existing) {
+            await ctx.db.patch(existing._id, { passId: pass._id });
+        } else {
+            await ctx.db.insert("users", { patronKey, passId: pass._id });
+        }
+
+        return { ok: true };
+    },
+});
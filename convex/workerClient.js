@@ -0,0 +1,101 @@
+/**
+ * Authenticated HTTP client for calling internal Cloudflare Worker endpoints
+ * from Convex actions — the reverse direction of src/convexClient.js.
+ *
+ * The Worker owns everything that talks to GET, so background jobs that need
+ * fresh GET data ask the Worker for it. Requests carry the same shared
+ * AUTH_TOKEN that the Worker uses to call Convex.
+ *
+ * Required Convex env vars:
+ *   WORKER_URL – Public URL of the Cloudflare Worker (e.g., https://get-wallet.example.workers.dev)
+ *   AUTH_TOKEN – Shared secret matching the Worker's AUTH_TOKEN secret
+ */
+
+/**
+ * Create an authenticated Worker HTTP client.
+ */
+export function getWorkerClient() {
+    const workerUrl = process.env.WORKER_URL;
+    if (!workerUrl) {
+        throw new Error(
+            "WORKER_URL environment variable is not set. " +
+            "Set it to the public URL of your Cloudflare Worker."
+        );
+    }
+
+    const authToken = process.env.AUTH_TOKEN;
+    if (!authToken) {
+        throw new Error("AUTH_TOKEN environment variable is not set.");
+    }
+
+    const headers = {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${authToken}`,
+    };
+
+    return {
+        /**
+         * Fetch fresh GET data for passes and return a content hash for each.
+         * @param {Array<{passTypeIdentifier:string, serialNumber:string}>} passes
+         * @returns {Promise<Array<{passTypeIdentifier:string, serialNumber:string, contentHash?:string, error?:string}>>}
+         */
+        async refreshPasses(passes) {
+            const res = await fetch(`${workerUrl}/internal/refreshPasses`, {
+                method: "POST",
+                headers,
+                body: JSON.stringify({ passes }),
+            });
+            if (!res.ok) throw new Error(`Worker refreshPasses failed: ${res.status}`);
+            const data = await res.json();
+            return data.results;
+        },
+
+        /**
+         * Delete a pass's CBORD PIN on GET.
+         * @param {{passTypeIdentifier:string, serialNumber:string}} pass
+         * @returns {Promise<{revoked:boolean, error?:string}>}
+         */
+        async revokeCredentials(pass) {
+            const res = await fetch(`${workerUrl}/internal/revokeCredentials`, {
+                method: "POST",
+                headers,
+                body: JSON.stringify(pass),
+            });
+            if (!res.ok) throw new Error(`Worker revokeCredentials failed: ${res.status}`);
+            return res.json();
+        },
+
+        /**
+         * Re-encrypt stored credentials with the Worker's current key version.
+         * Returns only the passes whose credentials changed.
+         * @param {Array<{passId:string, passTypeIdentifier:string, serialNumber:string, credentials:object|null, cbordDeviceId:string|null, cbordPin:string|null}>} passes
+         * @returns {Promise<Array<{passId:string, credentials:object}>>}
+         */
+        async rewrapCredentials(passes) {
+            const res = await fetch(`${workerUrl}/internal/rewrapCredentials`, {
+                method: "POST",
+                headers,
+                body: JSON.stringify({ passes }),
+            });
+            if (!res.ok) throw new Error(`Worker rewrapCredentials failed: ${res.status}`);
+            const data = await res.json();
+            return data.updates;
+        },
+
+        /**
+         * Give passes whose serial number is their CBORD deviceId new credentials.
+         * Takes the same pass shape as rewrapCredentials. The Worker stores the
+         * new credentials in Convex itself, before deleting the old PIN.
+         * @returns {Promise<{reissued:number, failed:number}>}
+         */
+        async reissueLegacyCredentials(passes) {
+            const res = await fetch(`${workerUrl}/internal/reissueLegacyCredentials`, {
+                method: "POST",
+                headers,
+                body: JSON.stringify({ passes }),
+            });
+            if (!res.ok) throw new Error(`Worker reissueLegacyCredentials failed: ${res.status}`);
+            return res.json();
+        },
+    };
+}
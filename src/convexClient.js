@@ -64,6 +64,21 @@ export function getConvexClient(env) {
             return data.authenticationToken;
         },
 
+        /**
+         * Replace the stored credentials of passes by ID, e.g. after their
+         * deviceId was reissued.
+         * @param {Array<{passId:string, credentials:object}>} updates
+         */
+        async storeRotatedCredentials(updates) {
+            const res = await fetch(`${siteUrl}/api/storeRotatedCredentials`, {
+                method: "POST",
+                headers,
+                body: JSON.stringify({ updates }),
+            });
+            if (!res.ok) throw new Error(`Convex storeRotatedCredentials failed: ${res.status}`);
+            return res.json();
+        },
+
         /**
          * Store or update a pass record (auth token) without creating a device registration.
          */
@@ -137,5 +152,298 @@ export function getConvexClient(env) {
             if (!res.ok) throw new Error(`Convex touchPass failed: ${res.status}`);
             return res.json();
         },
+
+        /**
+         * Record content hashes for passes; bumps lastUpdated only where the hash changed.
+         * @param {Array<{passTypeIdentifier:string, serialNumber:string, contentHash:string}>} hashes
+         * @param {{fetched?:boolean}} [options] – fetched: a device or download link just fetched these passes
+         * @returns {Promise<Array<{passTypeIdentifier:string, serialNumber:string, changed:boolean, lastUpdated:number}>>}
+         */
+        async recordContentHashes(hashes, { fetched = false } = {}) {
+            const res = await fetch(`${siteUrl}/api/recordContentHashes`, {
+                method: "POST",
+                headers,
+                body: JSON.stringify({ hashes, fetched }),
+            });
+            if (!res.ok) throw new Error(`Convex recordContentHashes failed: ${res.status}`);
+            const data = await res.json();
+            return data.passes;
+        },
+
+        /**
+         * Get the cached (encrypted) GET session for a session key, or null if none is live.
+         */
+        async getSession(args) {
+            const params = new URLSearchParams({ sessionKey: args.sessionKey });
+            const res = await fetch(
+                `${siteUrl}/api/getSession?${params.toString()}`,
+                { method: "GET", headers }
+            );
+            if (!res.ok) throw new Error(`Convex getSession failed: ${res.status}`);
+            const data = await res.json();
+            return data.session;
+        },
+
+        /**
+         * Cache an encrypted GET session under a session key until expiresAt (epoch ms).
+         */
+        async storeSession(args) {
+            const res = await fetch(`${siteUrl}/api/storeSession`, {
+                method: "POST",
+                headers,
+                body: JSON.stringify(args),
+            });
+            if (!res.ok) throw new Error(`Convex storeSession failed: ${res.status}`);
+            return res.json();
+        },
+
+        /**
+         * Drop the cached GET session for a session key.
+         */
+        async clearSession(args) {
+            const res = await fetch(`${siteUrl}/api/clearSession`, {
+                method: "POST",
+                headers,
+                body: JSON.stringify(args),
+            });
+            if (!res.ok) throw new Error(`Convex clearSession failed: ${res.status}`);
+            return res.json();
+        },
+
+        /**
+         * Record the latest account balances for a pass.
+         * Returns the last change per field key: [{ key, change? }].
+         */
+        async recordBalances(args) {
+            const res = await fetch(`${siteUrl}/api/recordBalances`, {
+                method: "POST",
+                headers,
+                body: JSON.stringify(args),
+            });
+            if (!res.ok) throw new Error(`Convex recordBalances failed: ${res.status}`);
+            const data = await res.json();
+            return data.changes;
+        },
+
+        /**
+         * Mark a pass's CBORD credentials as rejected by GET.
+         * Returns the pass's relink token (an earlier one wins over `relinkToken`).
+         */
+        async markCredentialsInvalid(args) {
+            const res = await fetch(`${siteUrl}/api/markCredentialsInvalid`, {
+                method: "POST",
+                headers,
+                body: JSON.stringify(args),
+            });
+            if (!res.ok) throw new Error(`Convex markCredentialsInvalid failed: ${res.status}`);
+            const data = await res.json();
+            return data.relinkToken;
+        },
+
+        /**
+         * Look up the pass waiting on a relink token.
+         * Returns { passTypeIdentifier, serialNumber } or null.
+         */
+        async getRelinkPass(args) {
+            const params = new URLSearchParams({ relinkToken: args.relinkToken });
+            const res = await fetch(
+                `${siteUrl}/api/getRelinkPass?${params.toString()}`,
+                { method: "GET", headers }
+            );
+            if (!res.ok) throw new Error(`Convex getRelinkPass failed: ${res.status}`);
+            const data = await res.json();
+            return data.pass;
+        },
+
+        /**
+         * Bind new CBORD credentials to the pass waiting on a relink token.
+         * Returns { passTypeIdentifier, serialNumber } or null if the token is unknown.
+         */
+        async relinkPass(args) {
+            const res = await fetch(`${siteUrl}/api/relinkPass`, {
+                method: "POST",
+                headers,
+                body: JSON.stringify(args),
+            });
+            if (!res.ok) throw new Error(`Convex relinkPass failed: ${res.status}`);
+            const data = await res.json();
+            return data.pass;
+        },
+
+        /**
+         * Find the pass already issued to a GET patron.
+         * @param {{patronKeys:string[]}} args – keyed hashes of the patron ID, current key first
+         * @returns {Promise<{passTypeIdentifier:string, serialNumber:string, authenticationToken:string}|null>}
+         */
+        async findUserPass(args) {
+            const res = await fetch(`${siteUrl}/api/findUserPass`, {
+                method: "POST",
+                headers,
+                body: JSON.stringify(args),
+            });
+            if (!res.ok) throw new Error(`Convex findUserPass failed: ${res.status}`);
+            const data = await res.json();
+            return data.pass;
+        },
+
+        /**
+         * Record which pass belongs to a GET patron.
+         */
+        async upsertUser(args) {
+            const res = await fetch(`${siteUrl}/api/upsertUser`, {
+                method: "POST",
+                headers,
+                body: JSON.stringify(args),
+            });
+            if (!res.ok) throw new Error(`Convex upsertUser failed: ${res.status}`);
+            return res.json();
+        },
+
+        /**
+         * Store a one-time download token (its hash) for a pass.
+         */
+        async createDownloadToken(args) {
+            const res = await fetch(`${siteUrl}/api/createDownloadToken`, {
+                method: "POST",
+                headers,
+                body: JSON.stringify(args),
+            });
+            if (!res.ok) throw new Error(`Convex createDownloadToken failed: ${res.status}`);
+            return res.json();
+        },
+
+        /**
+         * Look up the pass behind a download token without using it up.
+         * Returns { passTypeIdentifier, serialNumber, authenticationToken } or null.
+         */
+        async getDownloadToken(args) {
+            const params = new URLSearchParams({ tokenHash: args.tokenHash });
+            const res = await fetch(
+                `${siteUrl}/api/getDownloadToken?${params.toString()}`,
+                { method: "GET", headers }
+            );
+            if (!res.ok) throw new Error(`Convex getDownloadToken failed: ${res.status}`);
+            const data = await res.json();
+            return data.pass;
+        },
+
+        /**
+         * Use up a download token.
+         * Returns { passTypeIdentifier, serialNumber, authenticationToken } or null.
+         */
+        async consumeDownloadToken(args) {
+            const res = await fetch(`${siteUrl}/api/consumeDownloadToken`, {
+                method: "POST",
+                headers,
+                body: JSON.stringify(args),
+            });
+            if (!res.ok) throw new Error(`Convex consumeDownloadToken failed: ${res.status}`);
+            const data = await res.json();
+            return data.pass;
+        },
+
+        /**
+         * Get a pass's manage token, storing `manageToken` if it has none yet.
+         * Returns the pass's manage token, or null if the pass doesn't exist.
+         */
+        async ensureManageToken(args) {
+            const res = await fetch(`${siteUrl}/api/ensureManageToken`, {
+                method: "POST",
+                headers,
+                body: JSON.stringify(args),
+            });
+            if (!res.ok) throw new Error(`Convex ensureManageToken failed: ${res.status}`);
+            const data = await res.json();
+            return data.manageToken;
+        },
+
+        /**
+         * Look up the pass behind a manage token, with its registered devices and update preferences.
+         * Returns null if the token is unknown.
+         */
+        async getManagedPass(args) {
+            const params = new URLSearchParams({ manageToken: args.manageToken });
+            const res = await fetch(
+                `${siteUrl}/api/getManagedPass?${params.toString()}`,
+                { method: "GET", headers }
+            );
+            if (!res.ok) throw new Error(`Convex getManagedPass failed: ${res.status}`);
+            const data = await res.json();
+            return data.pass;
+        },
+
+        /**
+         * Remove one device from the pass behind a manage token.
+         * Returns { deleted: boolean }.
+         */
+        async unregisterManagedDevice(args) {
+            const res = await fetch(`${siteUrl}/api/unregisterManagedDevice`, {
+                method: "POST",
+                headers,
+                body: JSON.stringify(args),
+            });
+            if (!res.ok) throw new Error(`Convex unregisterManagedDevice failed: ${res.status}`);
+            return res.json();
+        },
+
+        /**
+         * Save the update preferences of the pass behind a manage token.
+         * @param {{manageToken:string, preferences:{frequency:string, quietStart?:string, quietEnd?:string, paused:boolean}}} args
+         * @returns {Promise<{updated:boolean, error?:string}>} error is a message for the user
+         */
+        async updateManagedPreferences(args) {
+            const res = await fetch(`${siteUrl}/api/updateManagedPreferences`, {
+                method: "POST",
+                headers,
+                body: JSON.stringify(args),
+            });
+            if (!res.ok) throw new Error(`Convex updateManagedPreferences failed: ${res.status}`);
+            return res.json();
+        },
+
+        /**
+         * Delete the pass behind a manage token and everything stored for it.
+         * @param {{manageToken:string, sessionKeys:string[]}} args
+         * @returns {Promise<{registrations:number, devices:number, users:number, downloadTokens:number, sessions:number}|null>}
+         *   rows deleted per kind, or null if the token is unknown
+         */
+        async purgeManagedPass(args) {
+            const res = await fetch(`${siteUrl}/api/purgeManagedPass`, {
+                method: "POST",
+                headers,
+                body: JSON.stringify(args),
+            });
+            if (!res.ok) throw new Error(`Convex purgeManagedPass failed: ${res.status}`);
+            const data = await res.json();
+            return data.deleted;
+        },
+
+        /**
+         * Store Apple Wallet log lines that name one of our passes.
+         * Returns { stored }.
+         */
+        async recordDeviceLogs(args) {
+            const res = await fetch(`${siteUrl}/api/recordDeviceLogs`, {
+                method: "POST",
+                headers,
+                body: JSON.stringify(args),
+            });
+            if (!res.ok) throw new Error(`Convex recordDeviceLogs failed: ${res.status}`);
+            return res.json();
+        },
+
+        /**
+         * Count one hit against each rate limit bucket.
+         * Returns { limited, retryAfterMs }.
+         */
+        async hitRateLimits(args) {
+            const res = await fetch(`${siteUrl}/api/hitRateLimits`, {
+                method: "POST",
+                headers,
+                body: JSON.stringify(args),
+            });
+            if (!res.ok) throw new Error(`Convex hitRateLimits failed: ${res.status}`);
+            return res.json();
+        },
     };
 }
@@ -0,0 +1,250 @@
+/**
+ * Envelope encryption for secrets stored in Convex (CBORD credentials and
+ * cached GET sessions).
+ *
+ * Each value is encrypted with its own random AES-256-GCM data key, and the
+ * data key is wrapped with a key-encryption key (KEK) that only the Worker
+ * holds. Convex stores the ciphertext, the wrapped data key and the KEK
+ * version, so a Convex data leak exposes nothing usable on its own.
+ *
+ * Required Worker secrets:
+ *   CREDENTIALS_KEYS        – JSON map of key version → base64 32-byte KEK, e.g. {"1":"..."}
+ *   CREDENTIALS_KEY_VERSION – version in CREDENTIALS_KEYS used for new values
+ *
+ * Rotating: add a new version to CREDENTIALS_KEYS, point CREDENTIALS_KEY_VERSION
+ * at it, then run the Convex rotateCredentials action. Older versions can be
+ * removed once it finishes.
+ */
+
+const IV_BYTES = 12;
+
+// HKDF info for identifier hashes, so the HMAC never shares key material with AES
+const IDENTIFIER_HASH_INFO = "get-wallet identifier hash v1";
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// ─── Encoding helpers ────────────────────────────────────────────────
+
+function toBase64(bytes) {
+    let binary = "";
+    for (const byte of new Uint8Array(bytes)) binary += String.fromCharCode(byte);
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+/** IV followed by the encrypted bytes, as stored in Convex. */
+function joinIv(iv, data) {
+    const out = new Uint8Array(iv.length + data.byteLength);
+    out.set(iv, 0);
+    out.set(new Uint8Array(data), iv.length);
+    return toBase64(out);
+}
+
+function splitIv(text) {
+    const bytes = fromBase64(text);
+    return { iv: bytes.slice(0, IV_BYTES), data: bytes.slice(IV_BYTES) };
+}
+
+function randomIv() {
+    return crypto.getRandomValues(new Uint8Array(IV_BYTES));
+}
+
+// ─── Keys ────────────────────────────────────────────────────────────
+
+/**
+ * Parse CREDENTIALS_KEYS into a map of version → raw key bytes.
+ * @returns {Map<string, Uint8Array>}
+ */
+function parseKeys(env) {
+    if (!env.CREDENTIALS_KEYS) {
+        throw new Error(
+            "CREDENTIALS_KEYS env var is not set. Set it to a JSON map of key version to a base64 32-byte key, e.g. {\"1\":\"<openssl rand -base64 32>\"}."
+        );
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(env.CREDENTIALS_KEYS);
+    } catch (err) {
+        throw new Error("CREDENTIALS_KEYS is not valid JSON", { cause: err });
+    }
+
+    const keys = new Map();
+    for (const [version, value] of Object.entries(parsed)) {
+        const raw = fromBase64(value);
+        if (raw.length !== 32) {
+            throw new Error(`CREDENTIALS_KEYS version "${version}" must be 32 bytes (base64-encoded)`);
+        }
+        keys.set(version, raw);
+    }
+    return keys;
+}
+
+/**
+ * The key version new values are encrypted with.
+ * @returns {string}
+ */
+function currentKeyVersion(env) {
+    const keys = parseKeys(env);
+    const version = env.CREDENTIALS_KEY_VERSION || [...keys.keys()].pop();
+    if (!keys.has(version)) {
+        throw new Error(`CREDENTIALS_KEY_VERSION "${version}" is not in CREDENTIALS_KEYS`);
+    }
+    return version;
+}
+
+/** Raw bytes of one KEK version. */
+function rawKey(env, version) {
+    const raw = parseKeys(env).get(version);
+    if (!raw) {
+        throw new Error(`No key for version "${version}" in CREDENTIALS_KEYS (was it removed before rotating?)`);
+    }
+    return raw;
+}
+
+function importKek(env, version) {
+    return crypto.subtle.importKey("raw", rawKey(env, version), "AES-GCM", false, ["wrapKey", "unwrapKey"]);
+}
+
+/** Unwrap the data key of a sealed value. */
+async function unwrapDataKey(env, sealed) {
+    const kek = await importKek(env, sealed.keyVersion);
+    const { iv, data } = splitIv(sealed.wrappedKey);
+    return crypto.subtle.unwrapKey(
+        "raw",
+        data,
+        kek,
+        { name: "AES-GCM", iv },
+        { name: "AES-GCM" },
+        true,
+        ["encrypt", "decrypt"]
+    );
+}
+
+/** Wrap a data key with the current KEK. */
+async function wrapDataKey(env, dataKey) {
+    const keyVersion = currentKeyVersion(env);
+    const kek = await importKek(env, keyVersion);
+    const iv = randomIv();
+    const wrapped = await crypto.subtle.wrapKey("raw", dataKey, kek, { name: "AES-GCM", iv });
+    return { wrappedKey: joinIv(iv, wrapped), keyVersion };
+}
+
+// ─── Sealing ─────────────────────────────────────────────────────────
+
+/**
+ * Encrypt a string under a fresh data key.
+ *
+ * @param {object} env – Worker env bindings
+ * @param {string} plaintext
+ * @param {string} context – bound to the ciphertext as AES-GCM additional data,
+ *   so a value copied onto another row fails to decrypt
+ * @returns {Promise<{ciphertext:string, wrappedKey:string, keyVersion:string}>}
+ */
+async function sealValue(env, plaintext, context) {
+    const dataKey = await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, true, [
+        "encrypt",
+        "decrypt",
+    ]);
+    const iv = randomIv();
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: "AES-GCM", iv, additionalData: encoder.encode(context) },
+        dataKey,
+        encoder.encode(plaintext)
+    );
+    return { ciphertext: joinIv(iv, ciphertext), ...(await wrapDataKey(env, dataKey)) };
+}
+
+/**
+ * Decrypt a value sealed with sealValue.
+ * @param {{ciphertext:string, wrappedKey:string, keyVersion:string}} sealed
+ * @param {string} context – the context it was sealed with
+ * @returns {Promise<string>}
+ */
+async function openValue(env, sealed, context) {
+    const dataKey = await unwrapDataKey(env, sealed);
+    const { iv, data } = splitIv(sealed.ciphertext);
+    const plaintext = await crypto.subtle.decrypt(
+        { name: "AES-GCM", iv, additionalData: encoder.encode(context) },
+        dataKey,
+        data
+    );
+    return decoder.decode(plaintext);
+}
+
+/**
+ * Re-wrap a sealed value's data key with the current KEK. The ciphertext is
+ * unchanged. Returns null if it already uses the current key version.
+ * @returns {Promise<{ciphertext:string, wrappedKey:string, keyVersion:string}|null>}
+ */
+async function rewrapValue(env, sealed) {
+    if (sealed.keyVersion === currentKeyVersion(env)) return null;
+    const dataKey = await unwrapDataKey(env, sealed);
+    return { ciphertext: sealed.ciphertext, ...(await wrapDataKey(env, dataKey)) };
+}
+
+// ─── CBORD credentials ───────────────────────────────────────────────
+
+/** Additional data binding credentials to their pass. */
+function passContext({ passTypeIdentifier, serialNumber }) {
+    return `pass:${passTypeIdentifier}/${serialNumber}`;
+}
+
+/**
+ * Encrypt a pass's CBORD deviceId + PIN for storage in Convex.
+ * @param {{passTypeIdentifier:string, serialNumber:string}} pass
+ * @param {{deviceId:string, pin:string}} credentials
+ */
+function sealCredentials(env, pass, { deviceId, pin }) {
+    return sealValue(env, JSON.stringify({ deviceId, pin }), passContext(pass));
+}
+
+/**
+ * Decrypt a pass's stored CBORD credentials.
+ * @returns {Promise<{deviceId:string, pin:string}>}
+ */
+async function openCredentials(env, pass, sealed) {
+    const { deviceId, pin } = JSON.parse(await openValue(env, sealed, passContext(pass)));
+    return { deviceId, pin };
+}
+
+/**
+ * Keyed hash of an identifier (e.g. a CBORD deviceId), for looking rows up in
+ * Convex without storing the identifier itself. Derived from a KEK (the
+ * current one by default), so it changes when the key is rotated.
+ * @param {string} [version] – key version to derive from
+ * @returns {Promise<string>} hex-encoded HMAC-SHA256
+ */
+async function hashIdentifier(env, value, version = currentKeyVersion(env)) {
+    const base = await crypto.subtle.importKey("raw", rawKey(env, version), "HKDF", false, ["deriveKey"]);
+    const hmacKey = await crypto.subtle.deriveKey(
+        { name: "HKDF", hash: "SHA-256", salt: new Uint8Array(0), info: encoder.encode(IDENTIFIER_HASH_INFO) },
+        base,
+        { name: "HMAC", hash: "SHA-256", length: 256 },
+        false,
+        ["sign"]
+    );
+    const digest = await crypto.subtle.sign("HMAC", hmacKey, encoder.encode(value));
+    return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Hashes of an identifier under every configured key version, current first.
+ * For lookups that must survive a key rotation: rows hashed under an older
+ * version still match until the old key is removed.
+ * @returns {Promise<string[]>}
+ */
+async function identifierHashes(env, value) {
+    const current = currentKeyVersion(env);
+    const versions = [current, ...[...parseKeys(env).keys()].filter((v) => v !== current)];
+    return Promise.all(versions.map((version) => hashIdentifier(env, value, version)));
+}
+
+export { sealValue, openValue, rewrapValue, sealCredentials, openCredentials, hashIdentifier, identifierHashes, currentKeyVersion };
@@ -5,23 +5,153 @@
 
 const ENDPOINT = "https://services.get.cbord.com/GETServices/services/json";
 
+// Per-attempt timeout for a GET API call.
+const REQUEST_TIMEOUT_MS = 10_000;
+
+// Transient failures (outage, rate limit, timeout) are retried this many times.
+const MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 300;
+
+// Never wait longer than this for a Retry-After before giving up.
+const MAX_RETRY_AFTER_MS = 5_000;
+
+// ─── Errors ──────────────────────────────────────────────────────────
+
+/** Base class for every failure reported by this client. */
+class GETError extends Error {
+    /**
+     * @param {string} message
+     * @param {{exception?:object, status?:number, retryAfter?:number, cause?:Error}} [details]
+     */
+    constructor(message, { exception, status, retryAfter, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.exception = exception; // raw GET `exception` object, if any
+        this.status = status; // HTTP status from GET, if any
+        this.retryAfter = retryAfter; // seconds, if GET asked us to back off
+    }
+}
+
+/** authenticatePIN rejected the PIN / deviceId pair (revoked PIN, reset device, typo). */
+class GETAuthError extends GETError {}
+
+/** retrieveUser rejected the session; logging in again with authenticatePIN fixes it. */
+class GETSessionExpiredError extends GETError {}
+
+/** GET is down, in maintenance, or didn't answer in time. */
+class GETUnavailableError extends GETError {}
+
+/** GET is throttling us (HTTP 429). */
+class GETRateLimitError extends GETError {}
+
+/** GET answered with something that isn't the JSON we expect. */
+class GETMalformedResponseError extends GETError {}
+
 /**
- * Low-level request to GET API.
+ * Build a typed error for a GET `exception` payload. The class depends on
+ * which call GET rejected, not on the exception's wording: every request
+ * carries a deviceId or session, so most exception texts mention one.
+ * Maintenance notices are the one exception, since reading one as a rejected
+ * login would void every pass while GET is down.
+ * @param {string} prefix - e.g. "GET barcode failed"
+ * @param {object} exception - the `exception` field of the GET response
+ * @param {typeof GETError} [ErrorClass] - class for a rejection of this call
+ */
+function getError(prefix, exception, ErrorClass = GETError) {
+    const text = JSON.stringify(exception);
+    const message = `${prefix}: ${text}`;
+
+    if (/maintenance|temporarily unavailable|try again later/i.test(text)) {
+        return new GETUnavailableError(message, { exception });
+    }
+    return new ErrorClass(message, { exception });
+}
+
+/**
+ * Parse a Retry-After header (seconds) if present.
+ */
+function parseRetryAfter(res) {
+    const seconds = parseInt(res.headers.get("Retry-After"), 10);
+    return Number.isNaN(seconds) ? undefined : seconds;
+}
+
+/**
+ * Send one request to the GET API and map transport-level failures to
+ * typed errors. GET `exception` payloads are left for the caller.
+ */
+async function sendGETRequest(service, method, params) {
+    let res;
+    try {
+        res = await fetch(`${ENDPOINT}/${service}`, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                Accept: "application/json",
+            },
+            body: JSON.stringify({ method, params }),
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        });
+    } catch (err) {
+        const reason = err.name === "TimeoutError" ? `timed out after ${REQUEST_TIMEOUT_MS}ms` : err.message;
+        throw new GETUnavailableError(`GET ${method} request failed: ${reason}`, { cause: err });
+    }
+
+    if (res.status === 429) {
+        throw new GETRateLimitError(`GET ${method} rate limited`, {
+            status: res.status,
+            retryAfter: parseRetryAfter(res),
+        });
+    }
+    if (res.status >= 500) {
+        throw new GETUnavailableError(`GET ${method} returned HTTP ${res.status}`, {
+            status: res.status,
+            retryAfter: parseRetryAfter(res),
+        });
+    }
+    if (!res.ok) {
+        throw new GETMalformedResponseError(`GET ${method} returned HTTP ${res.status}`, { status: res.status });
+    }
+
+    let body;
+    try {
+        body = await res.json();
+    } catch (err) {
+        throw new GETMalformedResponseError(`GET ${method} returned invalid JSON`, { status: res.status, cause: err });
+    }
+    if (!body || typeof body !== "object") {
+        throw new GETMalformedResponseError(`GET ${method} returned an unexpected body`, { status: res.status });
+    }
+    return body;
+}
+
+/**
+ * Low-level request to GET API. Outages, rate limits and timeouts are retried
+ * with exponential backoff (honoring a short Retry-After); anything else is
+ * thrown right away.
+ *
+ * Calls that change state on GET pass `retry: false`: a timeout may come after
+ * GET already acted, and repeating it would create or delete a PIN twice.
  * @param {string} service - e.g. "authentication", "commerce"
  * @param {string} method  - e.g. "authenticatePIN"
  * @param {object} params
- * @returns {Promise<any>}
+ * @param {{retry?:boolean}} [options]
+ * @returns {Promise<{response?:any, exception?:object}>}
  */
-async function makeGETRequest(service, method, params = {}) {
-    const res = await fetch(`${ENDPOINT}/${service}`, {
-        method: "POST",
-        headers: {
-            "Content-Type": "application/json",
-            Accept: "application/json",
-        },
-        body: JSON.stringify({ method, params }),
-    });
-    return res.json();
+async function makeGETRequest(service, method, params = {}, { retry = true } = {}) {
+    const maxRetries = retry ? MAX_RETRIES : 0;
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await sendGETRequest(service, method, params);
+        } catch (err) {
+            const transient = err instanceof GETUnavailableError || err instanceof GETRateLimitError;
+            if (!transient || attempt >= maxRetries) throw err;
+
+            const backoff = RETRY_BASE_DELAY_MS * 3 ** attempt;
+            const delay = err.retryAfter !== undefined ? err.retryAfter * 1000 : backoff;
+            if (delay > MAX_RETRY_AFTER_MS) throw err;
+            await new Promise((r) => setTimeout(r, delay));
+        }
+    }
 }
 
 /**
@@ -40,29 +170,63 @@ async function createPIN(sessionId, deviceId, pin) {
             sessionId,
             deviceId,
             PIN: pin,
-        }
+        },
+        { retry: false }
     );
 
     if (exception) {
-        throw new Error(`GET createPIN failed: ${JSON.stringify(exception)}`);
+        throw getError("GET createPIN failed", exception);
     }
     if (response !== true) {
-        throw new Error("createPIN returned unexpected response");
+        throw new GETMalformedResponseError("createPIN returned unexpected response");
     }
     return true;
 }
 
 /**
- * Generate a random deviceId and PIN, matching get-tools-main.
+ * Delete the PIN registered for a deviceId, so the deviceId + PIN pair can no
+ * longer log in. The session must belong to the same patron.
+ * @param {string} sessionId - authenticated session
+ * @param {string} deviceId  - deviceId whose PIN is revoked
+ * @returns {Promise<boolean>} true if successful
+ */
+async function deletePIN(sessionId, deviceId) {
+    const { response, exception } = await makeGETRequest(
+        "user",
+        "deletePIN",
+        {
+            sessionId,
+            deviceId,
+        },
+        { retry: false }
+    );
+
+    if (exception) {
+        throw getError("GET deletePIN failed", exception);
+    }
+    if (response !== true) {
+        throw new GETMalformedResponseError("deletePIN returned unexpected response");
+    }
+    return true;
+}
+
+/**
+ * Generate a random deviceId and PIN in the same shape as get-tools-main
+ * (16 hex characters and 4 digits), using the platform CSPRNG.
  * @returns {{ deviceId: string, pin: string }}
  */
 function generateCredentials() {
-    const deviceId = Math.round(Math.random() * 100_000_000_000_000_000)
-        .toString(16)
-        .padStart(16, "9");
-    const pin = Math.floor(Math.random() * 9999)
-        .toString()
-        .padStart(4, "0");
+    const deviceId = [...crypto.getRandomValues(new Uint8Array(8))]
+        .map((b) => b.toString(16).padStart(2, "0"))
+        .join("");
+
+    // Rejection sampling keeps every PIN equally likely (65536 isn't a multiple of 10000)
+    const sample = new Uint16Array(1);
+    do {
+        crypto.getRandomValues(sample);
+    } while (sample[0] >= 60_000);
+    const pin = (sample[0] % 10_000).toString().padStart(4, "0");
+
     return { deviceId, pin };
 }
 
@@ -88,11 +252,36 @@ async function authenticatePIN(pin, deviceId) {
     );
 
     if (exception) {
-        throw new Error(`GET auth failed: ${JSON.stringify(exception)}`);
+        throw getError("GET auth failed", exception, GETAuthError);
+    }
+    if (typeof response !== "string" || !response) {
+        throw new GETMalformedResponseError("authenticatePIN returned no sessionId");
     }
     return response; // sessionId string
 }
 
+/**
+ * Retrieve the patron the session belongs to.
+ * @param {string} sessionId
+ * @returns {Promise<{id:string, firstName?:string, lastName?:string, email?:string}>}
+ */
+async function retrieveUser(sessionId) {
+    const { response, exception } = await makeGETRequest(
+        "user",
+        "retrieve",
+        { sessionId }
+    );
+    if (exception) {
+        // Always the first call made with a session from the login page, so a
+        // rejection means the session is no good
+        throw getError("GET user lookup failed", exception, GETSessionExpiredError);
+    }
+    if (!response || !response.id) {
+        throw new GETMalformedResponseError("retrieve returned no patron id");
+    }
+    return response;
+}
+
 /**
  * Retrieve the patron barcode payload (the string rendered as PDF417).
  * @param {string} sessionId
@@ -105,7 +294,7 @@ async function retrieveBarcode(sessionId) {
         { sessionId }
     );
     if (exception) {
-        throw new Error(`GET barcode failed: ${JSON.stringify(exception)}`);
+        throw getError("GET barcode failed", exception);
     }
     return response;
 }
@@ -122,9 +311,53 @@ async function retrieveAccounts(sessionId) {
         { sessionId }
     );
     if (exception) {
-        throw new Error(`GET accounts failed: ${JSON.stringify(exception)}`);
+        throw getError("GET accounts failed", exception);
+    }
+    return (response && response.accounts) || [];
+}
+
+/**
+ * Retrieve the most recent commerce transactions across all accounts.
+ * @param {string} sessionId
+ * @param {number} [maxReturn=5] - number of transactions to return, newest first
+ * @returns {Promise<Array<{locationName:string, amount:number, actualDate:string, accountName:string}>>}
+ */
+async function retrieveTransactionHistory(sessionId, maxReturn = 5) {
+    // GET requires a date range; a month back covers "recent" for any active patron
+    const oldestDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+    const { response, exception } = await makeGETRequest(
+        "commerce",
+        "retrieveTransactionHistoryWithinDateRange",
+        {
+            sessionId,
+            paymentSystemType: 0,
+            queryCriteria: {
+                maxReturnMostRecent: maxReturn,
+                newestDate: null,
+                oldestDate,
+                accountId: null,
+            },
+        }
+    );
+    if (exception) {
+        throw getError("GET transactions failed", exception);
     }
-    return response.accounts || [];
+    return (response && response.transactions) || [];
 }
 
-export { createPIN, generateCredentials, authenticatePIN, retrieveBarcode, retrieveAccounts };
+export {
+    createPIN,
+    deletePIN,
+    generateCredentials,
+    authenticatePIN,
+    retrieveUser,
+    retrieveBarcode,
+    retrieveAccounts,
+    retrieveTransactionHistory,
+    GETError,
+    GETAuthError,
+    GETSessionExpiredError,
+    GETUnavailableError,
+    GETRateLimitError,
+    GETMalformedResponseError,
+};
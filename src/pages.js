@@ -0,0 +1,399 @@
+/**
+ * HTML pages served by the Worker: the landing page, the re-link flow for
+ * passes whose CBORD credentials stopped working, the manage page, and
+ * simple result pages.
+ * All pages share the same card layout and styles.
+ */
+
+const STYLES = `
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      min-height: 100vh;
+      display: flex; align-items: center; justify-content: center;
+      background: linear-gradient(135deg, #003366 0%, #004080 50%, #001a33 100%);
+      color: white;
+    }
+    .card {
+      background: rgba(255,255,255,0.1);
+      backdrop-filter: blur(20px);
+      border-radius: 20px;
+      padding: 40px;
+      text-align: center;
+      max-width: 460px;
+      border: 1px solid rgba(255,255,255,0.15);
+    }
+    h1 { font-size: 1.8em; margin-bottom: 8px; }
+    p { color: rgba(255,255,255,0.7); margin-bottom: 20px; }
+    .btn {
+      display: inline-block;
+      background: white;
+      color: #003366;
+      padding: 14px 32px;
+      border-radius: 12px;
+      text-decoration: none;
+      font-weight: 600;
+      font-size: 1.05em;
+      transition: transform 0.15s, box-shadow 0.15s;
+      border: none;
+      cursor: pointer;
+    }
+    .btn:hover { transform: translateY(-2px); box-shadow: 0 6px 20px rgba(0,0,0,0.3); }
+    .btn:disabled { opacity: 0.5; transform: none; cursor: not-allowed; }
+    .sub { margin-top: 16px; font-size: 0.85em; color: rgba(255,255,255,0.45); }
+    .steps { text-align: left; margin-bottom: 24px; }
+    .step { display: flex; align-items: flex-start; gap: 12px; margin-bottom: 16px; }
+    .step-num {
+      background: rgba(255,255,255,0.2);
+      width: 28px; height: 28px; min-width: 28px;
+      border-radius: 50%; display: flex;
+      align-items: center; justify-content: center;
+      font-weight: 700; font-size: 0.85em;
+    }
+    .step-num.active { background: white; color: #003366; }
+    .step-content p { margin-bottom: 8px; color: rgba(255,255,255,0.85); }
+    .link-input {
+      width: 100%; padding: 12px; border-radius: 10px;
+      border: 2px solid rgba(255,255,255,0.2); background: rgba(0,0,0,0.3);
+      color: white; font-size: 0.95em; outline: none;
+      transition: border-color 0.2s;
+    }
+    .link-input:focus { border-color: rgba(255,255,255,0.5); }
+    .link-input::placeholder { color: rgba(255,255,255,0.35); }
+    .error { color: #ff6b6b; font-size: 0.85em; margin-top: 8px; display: none; }
+    .loading { display: none; margin: 20px auto; }
+    .loading.show { display: block; }
+    .spinner {
+      width: 32px; height: 32px; border: 3px solid rgba(255,255,255,0.2);
+      border-top-color: white; border-radius: 50%; margin: 0 auto 10px;
+      animation: spin 0.8s linear infinite;
+    }
+    @keyframes spin { to { transform: rotate(360deg); } }
+    .card p.note { color: rgba(255,255,255,0.85); }
+    .devices { list-style: none; text-align: left; margin-bottom: 24px; }
+    .device {
+      display: flex; align-items: center; justify-content: space-between; gap: 12px;
+      padding: 12px 0; border-bottom: 1px solid rgba(255,255,255,0.15);
+    }
+    .device p { margin-bottom: 2px; color: rgba(255,255,255,0.85); }
+    .device .meta { font-size: 0.8em; color: rgba(255,255,255,0.5); }
+    .actions form { margin-bottom: 12px; }
+    .btn-secondary { background: rgba(255,255,255,0.15); color: white; }
+    .btn-small { font-size: 0.85em; padding: 8px 14px; }
+    .btn-danger { background: #ff6b6b; color: white; }
+    .receipt { text-align: left; margin-bottom: 20px; padding-left: 20px; color: rgba(255,255,255,0.85); }
+    .receipt li { margin-bottom: 6px; }
+    .preferences { text-align: left; margin-bottom: 24px; }
+    .preferences label { display: block; margin-bottom: 12px; color: rgba(255,255,255,0.85); }
+    .preferences select, .preferences input[type="time"] {
+      padding: 6px 8px; border-radius: 8px;
+      border: 1px solid rgba(255,255,255,0.2); background: rgba(0,0,0,0.3);
+      color: white; font-size: 0.95em;
+    }`;
+
+// Times on the manage page are shown in campus local time.
+const CAMPUS_TIME_ZONE = "America/Los_Angeles";
+
+/** Escape text for safe interpolation into HTML. */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+/** Wrap page content in the shared document shell. */
+function renderPage(body, script = "") {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>GET Card \u2013 Apple Wallet</title>
+  <style>${STYLES}
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>\ud83c\udf93 GET Card</h1>
+${body}
+  </div>${script ? `
+  <script>${script}
+  </script>` : ""}
+</body>
+</html>`;
+}
+
+/**
+ * The two-step "log in with UCSC, paste the validated URL" flow.
+ * Once a session ID is pasted, it is POSTed to `action` as `sessionId` along
+ * with any hidden `fields`, so it never ends up in a URL.
+ *
+ * @param {object} opts
+ * @param {string} opts.intro – sentence under the heading
+ * @param {string} opts.loadingText – shown while the next page loads
+ * @param {string} opts.footer – small print at the bottom of the card
+ * @param {string} opts.action – path the form is POSTed to
+ * @param {Record<string,string>} [opts.fields] – extra hidden form fields
+ */
+function loginPage({ intro, loadingText, footer, action, fields = {} }) {
+    const hiddenFields = Object.entries(fields)
+        .map(([name, value]) => `\n      <input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+        .join("");
+
+    const body = `    <p>${escapeHtml(intro)}</p>
+    <div id="form-section">
+      <div class="steps">
+        <div class="step">
+          <div class="step-num active">1</div>
+          <div class="step-content">
+            <p>Sign in with your UCSC account:</p>
+            <a class="btn" href="https://get.cbord.com/ucsc/full/login.php?mobileapp=1" target="_blank" rel="noopener noreferrer" style="font-size:0.9em; padding:10px 20px;">Log in with UCSC \u2197</a>
+          </div>
+        </div>
+        <div class="step">
+          <div class="step-num active">2</div>
+          <div class="step-content">
+            <p>Once you see \u201cvalidated\u201d, copy the page URL and paste it here:</p>
+            <input type="text" id="link-input" class="link-input" placeholder="Paste the validated URL here\u2026" autocomplete="off">
+            <div id="error-msg" class="error">Hmm, that doesn\u2019t look like a valid link. Try again?</div>
+          </div>
+        </div>
+      </div>
+    </div>
+    <div id="loading-section" class="loading">
+      <div class="spinner"></div>
+      <p style="color:rgba(255,255,255,0.8)">${escapeHtml(loadingText)}</p>
+    </div>
+    <form id="submit-form" method="post" action="${escapeHtml(action)}" style="display:none">
+      <input type="hidden" name="sessionId" id="session-input">${hiddenFields}
+    </form>
+    <p class="sub">${escapeHtml(footer)}</p>`;
+
+    const script = `
+    var input = document.getElementById('link-input');
+    var errorMsg = document.getElementById('error-msg');
+    var formSection = document.getElementById('form-section');
+    var loadingSection = document.getElementById('loading-section');
+    var UUID_RE = /([0-9A-Fa-f]{8}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{12})/;
+
+    input.addEventListener('input', function() {
+      errorMsg.style.display = 'none';
+      var val = input.value.trim();
+      if (val.length >= 32) {
+        var match = val.match(UUID_RE);
+        if (match) {
+          submitSession(match[1]);
+        } else {
+          errorMsg.style.display = 'block';
+        }
+      }
+    });
+
+    function submitSession(sessionId) {
+      formSection.style.display = 'none';
+      loadingSection.classList.add('show');
+      document.getElementById('session-input').value = sessionId;
+      document.getElementById('submit-form').submit();
+    }`;
+
+    return renderPage(body, script);
+}
+
+/** Landing page: log in via UCSC and download a new pass. */
+function landingPage() {
+    return loginPage({
+        intro: "Add your UCSC dining barcode to Apple Wallet.",
+        loadingText: "Generating your pass\u2026",
+        footer: "Your barcode will automatically refresh once added.",
+        action: "/pass/token",
+    });
+}
+
+/**
+ * Re-link page for a pass whose CBORD credentials stopped working.
+ * Logging in binds a new GET session to the existing pass, so the pass
+ * already in Wallet starts working again without being re-added.
+ * @param {string} relinkToken – from the link on the back of the pass
+ */
+function relinkPage(relinkToken) {
+    return loginPage({
+        intro: "Your pass lost its connection to GET. Log in again to re-link it \u2014 no need to re-add it to Wallet.",
+        loadingText: "Re-linking your pass\u2026",
+        footer: "Your pass will refresh on its own within a minute of re-linking.",
+        action: "/relink/complete",
+        fields: { token: relinkToken },
+    });
+}
+
+/**
+ * GET login for the manage page, for users without their pass at hand.
+ */
+function manageLoginPage() {
+    return loginPage({
+        intro: "Log in to see the devices your pass is on, get a new PIN or delete your pass.",
+        loadingText: "Finding your pass\u2026",
+        footer: "You can also open \u201cManage your pass\u201d on the back of your pass.",
+        action: "/manage/login",
+    });
+}
+
+/** Format an epoch ms time in campus local time, e.g. "Oct 3, 2:15 PM". */
+function formatTime(ms) {
+    if (!ms) return "never";
+    return new Date(ms).toLocaleString("en-US", {
+        timeZone: CAMPUS_TIME_ZONE,
+        month: "short",
+        day: "numeric",
+        hour: "numeric",
+        minute: "2-digit",
+    });
+}
+
+/** A POST form with a hidden manage token and a single button. */
+function manageForm(action, token, label, { className = "btn", fields = {}, confirm } = {}) {
+    const hiddenFields = Object.entries({ token, ...fields })
+        .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+        .join("");
+    const onsubmit = confirm ? ` onsubmit="return confirm(${escapeHtml(JSON.stringify(confirm))})"` : "";
+    return `<form method="post" action="${escapeHtml(action)}"${onsubmit}>${hiddenFields}<button class="${className}" type="submit">${escapeHtml(label)}</button></form>`;
+}
+
+// Update frequency choices on the manage page (see convex/schedule.js).
+const FREQUENCY_OPTIONS = [
+    ["auto", "Automatically (fast at meal times and after you use it)"],
+    ["dining", "Only during dining hall hours"],
+    ["hourly", "At most once an hour"],
+];
+
+/**
+ * The "Updates" form on the manage page: frequency, quiet hours and pause.
+ * Posts to /manage/preferences.
+ */
+function preferencesForm(token, { frequency, quietStart, quietEnd, paused }) {
+    const options = FREQUENCY_OPTIONS.map(
+        ([value, label]) => `<option value="${value}"${value === frequency ? " selected" : ""}>${escapeHtml(label)}</option>`
+    ).join("");
+    return `<form class="preferences" id="updates" method="post" action="/manage/preferences">
+      <input type="hidden" name="token" value="${escapeHtml(token)}">
+      <p class="note"><strong>Updates</strong>${paused ? " \u00b7 paused" : ""}</p>
+      <label>Refresh my pass <select name="frequency">${options}</select></label>
+      <label>Quiet hours from <input type="time" name="quietStart" value="${escapeHtml(quietStart ?? "")}"> to <input type="time" name="quietEnd" value="${escapeHtml(quietEnd ?? "")}"></label>
+      <label><input type="checkbox" name="paused"${paused ? " checked" : ""}> Pause updates</label>
+      <button class="btn btn-secondary btn-small" type="submit">Save</button>
+    </form>`;
+}
+
+/**
+ * Manage page for one pass: the devices it is registered on, how often it
+ * updates, and buttons to re-download it, remove a device, get a new PIN or
+ * delete the pass.
+ *
+ * @param {string} token – the pass's manage token, posted back with every action
+ * @param {object} pass
+ * @param {Array<{registrationId:string, deviceSuffix:string, registeredAt:number, lastCheckedAt:number|null, failing:boolean}>} pass.devices
+ * @param {string|null} pass.relinkToken – set while the pass needs re-linking
+ * @param {{frequency:string, quietStart?:string, quietEnd?:string, paused:boolean}} pass.preferences
+ */
+function managePage(token, { devices, relinkToken, preferences }) {
+    const deviceList = devices.length === 0
+        ? `<p class="note">Your pass isn\u2019t on any device right now.</p>`
+        : `<ul class="devices">${devices
+            .map((d) => `
+      <li class="device">
+        <div>
+          <p>Device \u2026${escapeHtml(d.deviceSuffix)}</p>
+          <p class="meta">Added ${escapeHtml(formatTime(d.registeredAt))} \u00b7 last checked ${escapeHtml(formatTime(d.lastCheckedAt))}${d.failing ? " \u00b7 not reachable" : ""}</p>
+        </div>
+        ${manageForm("/manage/unregister", token, "Remove", {
+            className: "btn btn-secondary btn-small",
+            fields: { registrationId: d.registrationId },
+            confirm: "This device will stop getting updates. Remove it?",
+        })}
+      </li>`)
+            .join("")}
+    </ul>`;
+
+    const relinkNote = relinkToken
+        ? `\n    <p class="note">GET no longer accepts this pass\u2019s login. <a href="/relink?token=${encodeURIComponent(relinkToken)}" style="color:white">Re-link it</a> to bring your barcode back.</p>`
+        : "";
+
+    return renderPage(`    <p>Your pass is on ${devices.length} ${devices.length === 1 ? "device" : "devices"}.</p>${relinkNote}
+    ${deviceList}
+    ${preferencesForm(token, preferences)}
+    <div class="actions">
+      ${manageForm("/manage/download", token, "Download pass again")}
+      ${manageForm("/manage/rotate-pin", token, "Get a new PIN", { className: "btn btn-secondary" })}
+      <a class="btn btn-danger" href="/manage/delete?token=${encodeURIComponent(token)}">Delete my pass and data</a>
+    </div>
+    <p class="sub">A new PIN replaces the one this pass uses to reach GET. Your pass keeps working.</p>`);
+}
+
+/**
+ * Confirmation before deleting a pass and everything stored for it. Reached
+ * from the back of the pass and the manage page; only the POST deletes.
+ * @param {string} token – the pass's manage token
+ */
+function deleteConfirmPage(token) {
+    return renderPage(`    <p><strong>Delete your pass and data?</strong></p>
+    <ul class="receipt">
+      <li>The PIN your pass uses to reach GET is deleted, so it can never log in again.</li>
+      <li>Your pass, its stored login, the devices it\u2019s on and any cached GET sessions are erased.</li>
+      <li>The pass stops updating. Remove it from Wallet afterwards.</li>
+    </ul>
+    <p class="note">This can\u2019t be undone. You can always create a new pass from the start page.</p>
+    ${manageForm("/manage/delete", token, "Delete everything", { className: "btn btn-danger" })}
+    <p class="sub"><a href="/manage?token=${encodeURIComponent(token)}" style="color:inherit">Keep my pass</a></p>`);
+}
+
+/** "1 device" / "2 devices". */
+function plural(count, noun) {
+    return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * Receipt shown once a pass has been deleted: what was removed and when.
+ *
+ * @param {object} receipt
+ * @param {number} receipt.deletedAt – epoch ms
+ * @param {{registrations:number, devices:number, users:number, downloadTokens:number, deviceLogs:number, sessions:number}} receipt.deleted
+ */
+function deletionReceiptPage({ deletedAt, deleted }) {
+    const items = [
+        "GET PIN revoked",
+        "Pass and its encrypted GET login deleted",
+        `${plural(deleted.registrations, "device registration")} deleted`,
+        `${plural(deleted.devices, "device record")} with no other passes deleted`,
+        `${plural(deleted.sessions, "cached GET session")} deleted`,
+        `${plural(deleted.downloadTokens, "unused download link")} deleted`,
+        `${plural(deleted.deviceLogs, "Wallet error log line")} deleted`,
+    ];
+
+    return renderPage(`    <p><strong>Your pass and data are deleted</strong></p>
+    <ul class="receipt">${items.map((item) => `
+      <li>${escapeHtml(item)}</li>`).join("")}
+    </ul>
+    <p class="note">Deleted ${escapeHtml(formatTime(deletedAt))} (Pacific time). Remove the pass from Wallet to finish.</p>
+    <p class="sub">Keep this page as your receipt.</p>`);
+}
+
+/**
+ * Simple page with a heading and a message (results and errors).
+ */
+function messagePage(title, message) {
+    return renderPage(`    <p><strong>${escapeHtml(title)}</strong></p>
+    <p class="note">${escapeHtml(message)}</p>`);
+}
+
+export {
+    landingPage,
+    relinkPage,
+    manageLoginPage,
+    managePage,
+    deleteConfirmPage,
+    deletionReceiptPage,
+    messagePage,
+    escapeHtml,
+};
@@ -0,0 +1,99 @@
+/**
+ * Request coalescing and a short-lived signed-pass cache for pass updates.
+ *
+ * One push makes every device holding a pass (iPhone, Apple Watch, iPad)
+ * fetch it at the same moment. Concurrent requests in the same isolate share
+ * one in-flight promise, and signed passes are kept in the Workers Cache API
+ * keyed by serial number and content hash so other isolates can reuse them.
+ */
+
+// Seconds a signed pass stays in the edge cache. Long enough to cover every
+// device answering the same push, short enough to never matter for staleness.
+const DEFAULT_SIGNED_PASS_CACHE_SECONDS = 30;
+
+// Synthetic origin for cache keys; never fetched.
+const CACHE_ORIGIN = "https://signed-pass.cache";
+
+/**
+ * Run `fn` once per key at a time: callers that arrive while a call for the
+ * same key is in flight get the same promise.
+ *
+ * @template T
+ * @param {Map<string, Promise<T>>} inFlight – per-purpose map of pending calls
+ * @param {string} key
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+function coalesce(inFlight, key, fn) {
+    const pending = inFlight.get(key);
+    if (pending) return pending;
+
+    const promise = fn().finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+}
+
+/**
+ * Signed-pass cache TTL in seconds, from the optional SIGNED_PASS_CACHE_SECONDS
+ * env var (0 disables the cache).
+ */
+function signedPassCacheSeconds(env) {
+    const seconds = parseInt(env.SIGNED_PASS_CACHE_SECONDS, 10);
+    return Number.isNaN(seconds) || seconds < 0 ? DEFAULT_SIGNED_PASS_CACHE_SECONDS : seconds;
+}
+
+/** Cache API key for one signed pass version. */
+function signedPassCacheKey({ passTypeIdentifier, serialNumber, contentHash }) {
+    return `${CACHE_ORIGIN}/${encodeURIComponent(passTypeIdentifier)}/${encodeURIComponent(serialNumber)}/${contentHash}`;
+}
+
+/**
+ * Return the signed pass for this serial + content hash from the edge cache,
+ * or sign it with `build` and cache the result.
+ *
+ * @param {object} env – Worker env bindings
+ * @param {{passTypeIdentifier:string, serialNumber:string, contentHash:string}} key
+ * @param {() => Promise<ArrayBuffer|Uint8Array>} build – signs the pass
+ * @returns {Promise<ArrayBuffer|Uint8Array>}
+ */
+async function cachedSignedPass(env, { passTypeIdentifier, serialNumber, contentHash }, build) {
+    const ttl = signedPassCacheSeconds(env);
+    // The Cache API only exists on Workers (and is a no-op on workers.dev)
+    if (ttl === 0 || typeof caches === "undefined") return build();
+
+    const cacheKey = signedPassCacheKey({ passTypeIdentifier, serialNumber, contentHash });
+    const cache = caches.default;
+
+    const hit = await cache.match(cacheKey);
+    if (hit) return hit.arrayBuffer();
+
+    const passBuffer = await build();
+    try {
+        await cache.put(
+            cacheKey,
+            new Response(passBuffer, {
+                headers: {
+                    "Content-Type": "application/vnd.apple.pkpass",
+                    "Cache-Control": `max-age=${ttl}`,
+                },
+            })
+        );
+    } catch (err) {
+        console.error("[PassCache] Failed to cache signed pass:", err);
+    }
+    return passBuffer;
+}
+
+/**
+ * Drop the signed pass for this serial + content hash from the edge cache.
+ * The Cache API is per data center, so copies elsewhere live out their TTL.
+ *
+ * @param {object} env – Worker env bindings
+ * @param {{passTypeIdentifier:string, serialNumber:string, contentHash:string}} key
+ */
+async function evictSignedPass(env, { passTypeIdentifier, serialNumber, contentHash }) {
+    if (signedPassCacheSeconds(env) === 0 || typeof caches === "undefined") return;
+    await caches.default.delete(signedPassCacheKey({ passTypeIdentifier, serialNumber, contentHash }));
+}
+
+export { coalesce, cachedSignedPass, evictSignedPass };
@@ -0,0 +1,222 @@
+/**
+ * Formats live GET data into Apple Wallet pass field definitions.
+ * Kept separate from passGenerator.js so the signing code only deals with
+ * ready-to-render fields.
+ */
+
+// Default display order for UCSC accounts. Matched case-insensitively against
+// the start of each account's `accountDisplayName`; unmatched accounts follow
+// in the order GET returns them.
+const DEFAULT_ACCOUNT_ORDER = ["Meal", "Flexi Dollars", "Slug Points", "Banana Bucks"];
+
+// Number of recent transactions shown on the back of the pass.
+const DEFAULT_TRANSACTION_COUNT = 5;
+
+// Transaction times are shown in campus local time.
+const CAMPUS_TIME_ZONE = "America/Los_Angeles";
+
+/**
+ * Parse the ACCOUNT_ORDER env var ("Meal,Flexi Dollars,...") into a list.
+ * @param {string} [value]
+ * @returns {string[]}
+ */
+function parseAccountOrder(value) {
+    if (!value) return DEFAULT_ACCOUNT_ORDER;
+    const order = value
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean);
+    return order.length > 0 ? order : DEFAULT_ACCOUNT_ORDER;
+}
+
+/**
+ * Meal plan accounts count swipes rather than dollars.
+ * @param {{accountDisplayName:string}} account
+ */
+function isSwipeAccount(account) {
+    return /meal|swipe/i.test(account.accountDisplayName || "");
+}
+
+/**
+ * Format an amount in an account's units.
+ * @param {number} amount
+ * @param {boolean} swipes – count swipes instead of dollars
+ * @returns {string} e.g. "$42.50", "-$8.50" or "7 swipes"
+ */
+function formatAmount(amount, swipes) {
+    if (swipes) {
+        const count = Math.round(amount);
+        return `${count} ${Math.abs(count) === 1 ? "swipe" : "swipes"}`;
+    }
+    const sign = amount < 0 ? "-" : "";
+    return `${sign}$${Math.abs(amount).toFixed(2)}`;
+}
+
+/**
+ * Format an account balance in the account's own units.
+ * @returns {string} e.g. "$42.50" or "7 swipes"
+ */
+function formatBalance(account) {
+    return formatAmount(account.balance || 0, isSwipeAccount(account));
+}
+
+/**
+ * Stable pass field key for an account, e.g. "account-flexi-dollars".
+ * Not unique on its own: two accounts can share a display name.
+ */
+function accountFieldKey(account) {
+    const slug = (account.accountDisplayName || "account")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "");
+    return `account-${slug || account.id}`;
+}
+
+/**
+ * Position of an account in the configured order (unmatched sort last).
+ */
+function orderIndex(account, order) {
+    const name = (account.accountDisplayName || "").toLowerCase();
+    const index = order.findIndex((prefix) => name.startsWith(prefix.toLowerCase()));
+    return index === -1 ? order.length : index;
+}
+
+/**
+ * Active GET accounts in display order.
+ * @param {Array<{accountDisplayName:string, balance:number, isActive:boolean, isAccountTenderActive:boolean}>} accounts
+ * @param {object} [env] – reads the optional ACCOUNT_ORDER override
+ */
+function activeAccountsInOrder(accounts, env = {}) {
+    const order = parseAccountOrder(env.ACCOUNT_ORDER);
+
+    return accounts
+        .filter((a) => a.isActive && a.isAccountTenderActive)
+        // sort() is stable, so accounts outside the configured order keep GET's order
+        .sort((a, b) => orderIndex(a, order) - orderIndex(b, order));
+}
+
+/**
+ * Active GET accounts in display order, each with a field key unique on the
+ * pass. The first account with a name keeps its plain key; later accounts
+ * with the same name get their account ID (or position) appended, so
+ * duplicates neither break pass.json nor share a balance history.
+ * @returns {Array<{account:object, key:string}>}
+ */
+function keyedAccounts(accounts, env = {}) {
+    const taken = new Set();
+    return activeAccountsInOrder(accounts, env).map((account, index) => {
+        let key = accountFieldKey(account);
+        if (taken.has(key)) key = `${key}-${account.id ?? index + 1}`;
+        taken.add(key);
+        return { account, key };
+    });
+}
+
+/**
+ * Numeric balance per account field key, for change tracking in Convex.
+ * @returns {Array<{key:string, balance:number}>}
+ */
+function accountBalances(accounts, env = {}) {
+    return keyedAccounts(accounts, env).map(({ account, key }) => ({
+        key,
+        balance: account.balance || 0,
+    }));
+}
+
+/**
+ * Lock-screen message for a balance change, e.g. "Spent $8.50 — now %@".
+ * Wallet substitutes %@ with the new field value, and only shows the
+ * notification when that value differs from the one already on the device.
+ */
+function changeMessage(account, change) {
+    const swipes = isSwipeAccount(account);
+    const amount = formatAmount(Math.abs(change), swipes);
+    if (change < 0) {
+        return `${swipes ? "Used" : "Spent"} ${amount} — now %@`;
+    }
+    return `Added ${amount} — now %@`;
+}
+
+/**
+ * Build one pass field per active GET account, in display order.
+ *
+ * @param {Array<{accountDisplayName:string, balance:number, isActive:boolean, isAccountTenderActive:boolean}>} accounts
+ * @param {object} [env] – reads the optional ACCOUNT_ORDER override
+ * @param {Array<{key:string, change?:number}>} [balanceChanges] – last recorded change per field key (from Convex)
+ * @returns {Array<{key:string, label:string, value:string, changeMessage?:string}>}
+ */
+function buildAccountFields(accounts, env = {}, balanceChanges = []) {
+    const changes = new Map(balanceChanges.map((c) => [c.key, c.change]));
+
+    return keyedAccounts(accounts, env).map(({ account, key }) => {
+        const field = {
+            key,
+            label: account.accountDisplayName || "GET Account",
+            value: formatBalance(account),
+        };
+        const change = changes.get(key);
+        if (change) {
+            field.changeMessage = changeMessage(account, change);
+        }
+        return field;
+    });
+}
+
+/**
+ * Number of transactions to fetch, from the optional TRANSACTION_HISTORY_COUNT
+ * env var (0 disables the history).
+ * @param {object} [env]
+ * @returns {number}
+ */
+function transactionCount(env = {}) {
+    const count = parseInt(env.TRANSACTION_HISTORY_COUNT, 10);
+    return Number.isNaN(count) || count < 0 ? DEFAULT_TRANSACTION_COUNT : count;
+}
+
+/**
+ * Build back fields for recent purchases, newest first.
+ * Each reads e.g. "Crown/Merrill Dining · Feb 14, 12:31 PM" → "-$8.50 · Flexi Dollars".
+ *
+ * @param {Array<{locationName:string, amount:number, actualDate:string, accountName:string}>} transactions
+ * @returns {Array<{key:string, label:string, value:string}>}
+ */
+function buildTransactionFields(transactions) {
+    return transactions.map((t, i) => {
+        const time = new Date(t.actualDate || t.postedDate).toLocaleString("en-US", {
+            timeZone: CAMPUS_TIME_ZONE,
+            month: "short",
+            day: "numeric",
+            hour: "numeric",
+            minute: "2-digit",
+        });
+        const swipes = isSwipeAccount({ accountDisplayName: t.accountName });
+        const amount = formatAmount(t.amount || 0, swipes);
+
+        return {
+            key: `transaction-${i}`,
+            label: `${t.locationName || "Unknown location"} · ${time}`,
+            value: t.accountName ? `${amount} · ${t.accountName}` : amount,
+        };
+    });
+}
+
+/**
+ * Fingerprint of the GET data shown on a pass (barcode, balances and recent
+ * transactions). Change messages are left out because they are derived from
+ * stored state rather than GET data.
+ *
+ * @param {{barcodePayload:string, accounts:Array, transactions:Array}} data
+ * @param {object} [env]
+ * @returns {Promise<string>} hex-encoded SHA-256 digest
+ */
+async function passContentHash({ barcodePayload, accounts, transactions }, env = {}) {
+    const content = JSON.stringify({
+        barcodePayload,
+        balances: accountBalances(accounts, env),
+        transactions: buildTransactionFields(transactions),
+    });
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(content));
+    return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export { buildAccountFields, accountBalances, buildTransactionFields, passContentHash, transactionCount, formatAmount, formatBalance, isSwipeAccount };
@@ -57,25 +57,18 @@ function loadCertificates(env) {
 }
 
 /**
- * Generate a .pkpass buffer for a user.
+ * Create a PKPass from the model with signing certificates, pass-level props
+ * and images, ready for barcodes and fields.
  *
  * @param {object} opts
- * @param {string} opts.serialNumber  – unique ID for this pass
- * @param {string} opts.barcodePayload – the barcode string from GET API
- * @param {string} opts.authenticationToken – token for Apple Wallet callbacks
- * @param {string} [opts.balanceText] – formatted balance string, e.g. "$42.50"
- * @param {string} [opts.accountName] – e.g. "Flexi Dollars"
- * @returns {Promise<Buffer>} .pkpass file buffer
+ * @param {string} opts.serialNumber
+ * @param {string} opts.authenticationToken
+ * @param {string} [opts.webServiceURL]
+ * @param {boolean} [opts.voided] – mark the pass as void in Wallet
+ * @param {object} [opts.env]
+ * @returns {PKPass}
  */
-async function generatePass({
-    serialNumber,
-    barcodePayload,
-    authenticationToken,
-    balanceText,
-    accountName,
-    webServiceURL,
-    env,
-}) {
+function createPass({ serialNumber, authenticationToken, webServiceURL, voided, env }) {
     // Use provided env, fall back to process.env for Node.js
     const e = env || process.env;
     const certs = loadCertificates(e);
@@ -96,6 +89,16 @@ async function generatePass({
         );
     }
 
+    const props = {
+        serialNumber,
+        authenticationToken,
+        webServiceURL: webServiceURL || e.WEB_SERVICE_URL || "",
+        organizationName: "UCSC GET Card",
+        description: "UCSC GET Dining Card",
+        logoText: "GET Card",
+    };
+    if (voided) props.voided = true;
+
     // --- Parse pass.json ---
     const pass = new PKPass(
         {
@@ -107,14 +110,7 @@ async function generatePass({
             signerKey: certs.signerKey,
             signerKeyPassphrase: certs.signerKeyPassphrase,
         },
-        {
-            serialNumber,
-            authenticationToken,
-            webServiceURL: webServiceURL || e.WEB_SERVICE_URL || "",
-            organizationName: "UCSC GET Card",
-            description: "UCSC GET Dining Card",
-            logoText: "GET Card",
-        }
+        props
     );
     // Inject images
     pass.addBuffer("icon.png", Buffer.from(iconBuffer));
@@ -122,6 +118,66 @@ async function generatePass({
     pass.addBuffer("logo.png", Buffer.from(logoBuffer));
     pass.addBuffer("logo@2x.png", Buffer.from(logo2xBuffer));
 
+    return pass;
+}
+
+/**
+ * Add links to the manage page, its update settings and deleting the pass to
+ * the back of the pass.
+ * @param {PKPass} pass
+ * @param {{manageURL?:string, deleteURL?:string}} links
+ */
+function addManageFields(pass, { manageURL, deleteURL }) {
+    if (manageURL) {
+        pass.backFields.push({
+            key: "manage",
+            label: "Manage your pass",
+            value: `See which devices have this pass or get a new PIN: ${manageURL}`,
+            attributedValue: `<a href="${manageURL}">See which devices have this pass or get a new PIN</a>`,
+        });
+        pass.backFields.push({
+            key: "updates",
+            label: "Update settings",
+            value: `Choose how often this pass refreshes, set quiet hours or pause updates: ${manageURL}#updates`,
+            attributedValue: `<a href="${manageURL}#updates">Choose how often this pass refreshes, set quiet hours or pause updates</a>`,
+        });
+    }
+    if (deleteURL) {
+        pass.backFields.push({
+            key: "delete",
+            label: "Delete my data",
+            value: `Revoke this pass's GET login and delete everything stored for it: ${deleteURL}`,
+            attributedValue: `<a href="${deleteURL}">Revoke this pass's GET login and delete everything stored for it</a>`,
+        });
+    }
+}
+
+/**
+ * Generate a .pkpass buffer for a user.
+ *
+ * @param {object} opts
+ * @param {string} opts.serialNumber  – unique ID for this pass
+ * @param {string} opts.barcodePayload – the barcode string from GET API
+ * @param {string} opts.authenticationToken – token for Apple Wallet callbacks
+ * @param {Array<{key:string, label:string, value:string}>} [opts.accountFields] – one field per GET account, in display order
+ * @param {Array<{key:string, label:string, value:string}>} [opts.transactionFields] – recent purchases for the back of the pass
+ * @param {string} [opts.manageURL] – manage page for this pass, linked from the back
+ * @param {string} [opts.deleteURL] – deletion page for this pass, linked from the back
+ * @returns {Promise<Buffer>} .pkpass file buffer
+ */
+async function generatePass({
+    serialNumber,
+    barcodePayload,
+    authenticationToken,
+    accountFields = [],
+    transactionFields = [],
+    manageURL,
+    deleteURL,
+    webServiceURL,
+    env,
+}) {
+    const pass = createPass({ serialNumber, authenticationToken, webServiceURL, env });
+
     // --- Barcode ---
     // The GET app uses PDF417 barcodes scanned at UCSC dining locations
     pass.setBarcodes({
@@ -131,21 +187,21 @@ async function generatePass({
     });
 
     // --- Fields ---
-    if (balanceText) {
-        pass.headerFields.push({
-            key: "balance",
-            label: "BALANCE",
-            value: balanceText,
-        });
+    // The first account is the headline balance; the rest fill the remaining
+    // front slots (storeCard allows 4 secondary + auxiliary fields in total,
+    // one of which is the campus field) and overflow onto the back.
+    const [primaryAccount, ...otherAccounts] = accountFields;
+    if (primaryAccount) {
+        pass.headerFields.push(primaryAccount);
     }
 
-    if (accountName) {
-        pass.secondaryFields.push({
-            key: "account",
-            label: "ACCOUNT",
-            value: accountName,
-        });
-    }
+    otherAccounts.forEach((field, i) => {
+        if (i < 3) {
+            pass.auxiliaryFields.push(field);
+        } else {
+            pass.backFields.push(field);
+        }
+    });
 
     pass.secondaryFields.push({
         key: "location",
@@ -154,7 +210,62 @@ async function generatePass({
         textAlignment: "PKTextAlignmentRight",
     });
 
+    pass.backFields.push(...transactionFields);
+
+    addManageFields(pass, { manageURL, deleteURL });
+
+    return pass.getAsBuffer();
+}
+
+/**
+ * Generate a voided "Re-link needed" pass for a user whose stored CBORD
+ * credentials stopped working. It has no barcode (the old one can't be
+ * refreshed) and links to the re-link flow from the back of the pass.
+ * The pass keeps its serial number and web service, so re-linking brings the
+ * same pass back to life on the next update.
+ *
+ * @param {object} opts
+ * @param {string} opts.serialNumber
+ * @param {string} opts.authenticationToken
+ * @param {string} opts.relinkURL – landing page that binds a new GET session to this pass
+ * @param {string} [opts.manageURL] – manage page for this pass
+ * @param {string} [opts.deleteURL] – deletion page for this pass
+ * @returns {Promise<Buffer>} .pkpass file buffer
+ */
+async function generateRelinkPass({
+    serialNumber,
+    authenticationToken,
+    relinkURL,
+    manageURL,
+    deleteURL,
+    webServiceURL,
+    env,
+}) {
+    const pass = createPass({ serialNumber, authenticationToken, webServiceURL, voided: true, env });
+
+    pass.headerFields.push({
+        key: "status",
+        label: "STATUS",
+        value: "Re-link needed",
+        changeMessage: "%@ — tap the pass for details",
+    });
+
+    pass.secondaryFields.push({
+        key: "relink-help",
+        label: "GET ACCOUNT",
+        value: "Disconnected",
+    });
+
+    pass.backFields.push({
+        key: "relink",
+        label: "Re-link needed",
+        value: `GET no longer accepts this pass's login. Re-link your GET account to bring your barcode back: ${relinkURL}`,
+        attributedValue: `GET no longer accepts this pass's login. <a href="${relinkURL}">Re-link your GET account</a> to bring your barcode back.`,
+    });
+
+    addManageFields(pass, { manageURL, deleteURL });
+
     return pass.getAsBuffer();
 }
 
-export { generatePass };
+export { generatePass, generateRelinkPass };
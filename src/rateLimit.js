@@ -0,0 +1,99 @@
+/**
+ * Per-client and per-pass rate limits backed by a Convex counter.
+ *
+ * Signing up (or getting a new PIN) runs createPIN, a GET login and pass
+ * signing; pass updates sign a pass too. Each named limit allows `limit` hits
+ * per fixed window of `windowSeconds` for one client IP or one pass serial
+ * number, so a single script can't burn through our GET quota or Worker budget.
+ *
+ * Convex only sees a keyed hash of each IP / serial (see credentialVault.js).
+ * If Convex can't be reached the request is let through: a missed count is
+ * better than locking every user out.
+ *
+ * Optional Worker env var:
+ *   RATE_LIMITS – JSON overrides per limit name, e.g. {"signUpPerIp":{"limit":20,"windowSeconds":3600}}
+ */
+
+import { getConvexClient } from "./convexClient";
+import { hashIdentifier } from "./credentialVault";
+
+const DEFAULT_RATE_LIMITS = {
+    // Sign-up, re-link, manage login and new-PIN POSTs: each calls GET
+    signUpPerIp: { limit: 10, windowSeconds: 60 * 60 },
+    // POST /relink/complete for one pass
+    relinkPerSerial: { limit: 5, windowSeconds: 60 * 60 },
+    // POST /manage/rotate-pin for one pass: createPIN + deletePIN
+    rotatePinPerSerial: { limit: 5, windowSeconds: 60 * 60 },
+    // GET /pass, GET /relink and the manage page
+    pagePerIp: { limit: 30, windowSeconds: 10 * 60 },
+    // Apple Wallet web service calls; generous, since carrier NAT puts many phones behind one IP
+    walletPerIp: { limit: 300, windowSeconds: 60 },
+    // GET /v1/passes for one pass; every device holding it fetches after a push
+    passUpdatePerSerial: { limit: 20, windowSeconds: 60 },
+    // POST/DELETE registrations for one pass
+    registrationPerSerial: { limit: 20, windowSeconds: 60 * 60 },
+    // POST /v1/log
+    logPerIp: { limit: 30, windowSeconds: 60 },
+};
+
+/**
+ * Rate limits with RATE_LIMITS env overrides applied.
+ * @returns {Record<string, {limit:number, windowSeconds:number}>}
+ */
+function rateLimits(env) {
+    if (!env.RATE_LIMITS) return DEFAULT_RATE_LIMITS;
+
+    let overrides;
+    try {
+        overrides = JSON.parse(env.RATE_LIMITS);
+    } catch (err) {
+        console.error("[RateLimit] RATE_LIMITS is not valid JSON, using defaults:", err);
+        return DEFAULT_RATE_LIMITS;
+    }
+
+    const limits = { ...DEFAULT_RATE_LIMITS };
+    for (const [name, override] of Object.entries(overrides)) {
+        if (limits[name]) limits[name] = { ...limits[name], ...override };
+    }
+    return limits;
+}
+
+/**
+ * The client IP Cloudflare saw ("unknown" outside Cloudflare, e.g. in tests).
+ */
+function clientIp(request) {
+    return request.headers.get("CF-Connecting-IP") || "unknown";
+}
+
+/**
+ * Count one hit against each named limit.
+ *
+ * @param {object} env – Worker env bindings
+ * @param {Array<{name:string, id:string}>} checks – limit name + the IP or serial it applies to
+ * @returns {Promise<{limited:boolean, retryAfter?:number}>} retryAfter in seconds
+ */
+async function checkRateLimits(env, checks) {
+    const limits = rateLimits(env);
+    try {
+        const buckets = await Promise.all(
+            checks.map(async ({ name, id }) => {
+                const { limit, windowSeconds } = limits[name];
+                return {
+                    key: `${name}:${await hashIdentifier(env, id)}`,
+                    limit,
+                    windowMs: windowSeconds * 1000,
+                };
+            })
+        );
+        const result = await getConvexClient(env).hitRateLimits({ buckets });
+        if (!result.limited) return { limited: false };
+
+        console.log(`[RateLimit] Limited ${checks.map((c) => c.name).join(", ")}`);
+        return { limited: true, retryAfter: Math.max(1, Math.ceil(result.retryAfterMs / 1000)) };
+    } catch (err) {
+        console.error("[RateLimit] Failed to check rate limits, allowing request:", err);
+        return { limited: false };
+    }
+}
+
+export { checkRateLimits, clientIp };
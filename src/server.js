@@ -9,6 +9,7 @@ const express = require("express");
 const { v4: uuidv4 } = require("uuid");
 const { createPIN, generateCredentials, authenticatePIN, retrieveBarcode, retrieveAccounts } = require("./getClient");
 const { generatePass } = require("./passGenerator");
+const { buildAccountFields } = require("./passFields");
 const db = require("./db");
 
 const app = express();
@@ -48,30 +49,13 @@ async function buildPassBuffer(serialNumber) {
     const barcodePayload = await retrieveBarcode(sessionId);
     const accounts = await retrieveAccounts(sessionId);
 
-    // Compute total balance from active accounts
-    const activeAccounts = accounts.filter(
-        (a) => a.isActive && a.isAccountTenderActive
-    );
-    const totalBalance = activeAccounts.reduce(
-        (sum, a) => sum + (a.balance || 0),
-        0
-    );
-    const balanceText = `$${totalBalance.toFixed(2)}`;
-
-    // Get primary account name
-    // const primaryAccount =
-    //     activeAccounts.find((a) => a.accountType === 3) || activeAccounts[0];
-    // const accountName = primaryAccount
-    //     ? primaryAccount.accountDisplayName
-    //     : "GET Account";
-    const accountName = "Slug Points"
+    const accountFields = buildAccountFields(accounts, process.env);
 
     return generatePass({
         serialNumber,
         barcodePayload,
         authenticationToken,
-        balanceText,
-        accountName,
+        accountFields,
     });
 }
 
@@ -0,0 +1,109 @@
+/**
+ * GET session cache backed by Convex.
+ *
+ * authenticatePIN is the slowest GET call and pass refreshes happen often, so
+ * sessions are cached per CBORD deviceId and reused until their TTL runs out
+ * or GET reports them expired — whichever comes first.
+ *
+ * Convex only sees a keyed hash of the deviceId and the session encrypted
+ * with the Worker's credentials key (see credentialVault.js).
+ */
+
+import { authenticatePIN, GETError, GETUnavailableError } from "./getClient";
+import { getConvexClient } from "./convexClient";
+import { sealValue, openValue, hashIdentifier } from "./credentialVault";
+
+// GET doesn't publish its session lifetime; 15 minutes stays well inside it.
+const DEFAULT_SESSION_TTL_SECONDS = 15 * 60;
+
+/**
+ * Session TTL in ms, from the optional GET_SESSION_TTL_SECONDS env var.
+ */
+function sessionTtlMs(env) {
+    const seconds = parseInt(env.GET_SESSION_TTL_SECONDS, 10);
+    return (Number.isNaN(seconds) || seconds <= 0 ? DEFAULT_SESSION_TTL_SECONDS : seconds) * 1000;
+}
+
+/**
+ * Read and decrypt the cached session, or null if there is none usable.
+ */
+async function readCachedSession(env, convex, sessionKey) {
+    try {
+        const session = await convex.getSession({ sessionKey });
+        return session ? await openValue(env, session, sessionKey) : null;
+    } catch (err) {
+        console.error("[Session] Failed to read cached GET session:", err);
+        return null;
+    }
+}
+
+/**
+ * Log in with PIN + deviceId and cache the new session.
+ */
+async function login(env, convex, sessionKey, deviceId, pin) {
+    const sessionId = await authenticatePIN(pin, deviceId);
+    try {
+        await convex.storeSession({
+            sessionKey,
+            session: await sealValue(env, sessionId, sessionKey),
+            expiresAt: Date.now() + sessionTtlMs(env),
+        });
+    } catch (err) {
+        // A cache write failure only costs a login next time
+        console.error("[Session] Failed to cache GET session:", err);
+    }
+    return sessionId;
+}
+
+/**
+ * Whether GET rejected a call, as it does when a cached session has expired.
+ * GET's exceptions don't say why, so any rejection counts.
+ */
+function isRejection(err) {
+    return err instanceof GETError && err.exception !== undefined && !(err instanceof GETUnavailableError);
+}
+
+/**
+ * Run `fn(sessionId)` with a GET session for the given CBORD credentials.
+ * Uses the cached session when there is one; if GET rejects a call made with
+ * it, the session may just have expired, so the cache entry is dropped and
+ * `fn` is retried once with a fresh login. A rejection with the fresh session
+ * is real and is thrown.
+ *
+ * `fn` runs again from the top on a retry, so steps that change state on GET
+ * (createPIN) must remember that they already ran rather than repeat.
+ *
+ * @template T
+ * @param {object} env – Worker env bindings
+ * @param {{deviceId:string, pin:string}} credentials
+ * @param {(sessionId:string) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+async function withGETSession(env, { deviceId, pin }, fn) {
+    const convex = getConvexClient(env);
+    const sessionKey = await hashIdentifier(env, deviceId);
+
+    const cachedSessionId = await readCachedSession(env, convex, sessionKey);
+    if (cachedSessionId) {
+        try {
+            return await fn(cachedSessionId);
+        } catch (err) {
+            if (!isRejection(err)) throw err;
+            console.log("[Session] GET rejected the cached session, logging in again");
+            await convex.clearSession({ sessionKey }).catch(() => {});
+        }
+    }
+
+    const sessionId = await login(env, convex, sessionKey, deviceId, pin);
+    return fn(sessionId);
+}
+
+/**
+ * Drop the cached GET session for a CBORD deviceId (e.g. after revoking its PIN).
+ */
+async function clearGETSession(env, deviceId) {
+    const convex = getConvexClient(env);
+    await convex.clearSession({ sessionKey: await hashIdentifier(env, deviceId) });
+}
+
+export { withGETSession, clearGETSession };
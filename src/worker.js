@@ -7,10 +7,36 @@
  * or via `wrangler secret put` appears as a property on `env`.
  */
 
-import { v4 as uuidv4 } from "uuid";
-import { createPIN, generateCredentials, authenticatePIN, retrieveBarcode, retrieveAccounts } from "./getClient";
-import { generatePass } from "./passGenerator";
+import {
+    createPIN,
+    deletePIN,
+    generateCredentials,
+    retrieveUser,
+    retrieveBarcode,
+    retrieveAccounts,
+    retrieveTransactionHistory,
+    GETError,
+    GETAuthError,
+    GETSessionExpiredError,
+    GETUnavailableError,
+    GETRateLimitError,
+} from "./getClient";
+import { generatePass, generateRelinkPass } from "./passGenerator";
+import { buildAccountFields, accountBalances, buildTransactionFields, passContentHash, transactionCount } from "./passFields";
 import { getConvexClient } from "./convexClient";
+import { withGETSession, clearGETSession } from "./sessionCache";
+import { sealCredentials, openCredentials, rewrapValue, identifierHashes } from "./credentialVault";
+import { coalesce, cachedSignedPass, evictSignedPass } from "./passCache";
+import {
+    landingPage,
+    relinkPage,
+    manageLoginPage,
+    managePage,
+    deleteConfirmPage,
+    deletionReceiptPage,
+    messagePage,
+} from "./pages";
+import { checkRateLimits, clientIp } from "./rateLimit";
 import passJsonBuffer from "../models/GetCard.pass/pass.json";
 
 // ─── Helpers ─────────────────────────────────────────────────────────
@@ -53,6 +79,12 @@ async function verifyAppleAuth(request, env, passTypeId, serialNumber) {
     }
 }
 
+/** Verify a Convex → Worker call carries the shared AUTH_TOKEN. */
+function verifyInternalAuth(request, env) {
+    if (!env.AUTH_TOKEN) return false;
+    return request.headers.get("Authorization") === `Bearer ${env.AUTH_TOKEN}`;
+}
+
 /** JSON response helper. */
 function json(data, status = 200, headers = {}) {
     return new Response(JSON.stringify(data), {
@@ -61,192 +93,752 @@ function json(data, status = 200, headers = {}) {
     });
 }
 
+/** HTML response helper. */
+function html(body, status = 200, headers = {}) {
+    return new Response(body, {
+        status,
+        headers: { "Content-Type": "text/html;charset=UTF-8", ...headers },
+    });
+}
+
+/** 303 See Other: turns a form POST into a GET of `location`. */
+function seeOther(location) {
+    return new Response(null, {
+        status: 303,
+        headers: { Location: location },
+    });
+}
+
+// Largest /v1/log body we read; Wallet sends a handful of short lines
+const MAX_LOG_BODY_BYTES = 16 * 1024;
+
+// Log lines printed and stored per /v1/log request, and characters per line
+const MAX_LOG_ENTRIES = 20;
+const MAX_LOG_ENTRY_LENGTH = 1000;
+
 /**
- * Generate a fresh pass buffer by fetching live data from the GET API.
+ * Read a request body as text, giving up once it passes `maxBytes`.
+ * Checks Content-Length first, then counts while streaming (chunked bodies
+ * have no length).
+ * @returns {Promise<string|null>} null if the body is too large
  */
-async function buildPassBuffer(env, request, id, code, existingAuthToken) {
-    // Derive webServiceURL from the incoming request origin; env var is an optional override
-    const webServiceURL = env.WEB_SERVICE_URL || new URL(request.url).origin;
-    const pin = code || env.GET_PIN;
-    const deviceId = id || env.GET_DEVICE_ID;
+async function readLimitedText(request, maxBytes) {
+    const declared = parseInt(request.headers.get("Content-Length"), 10);
+    if (declared > maxBytes) return null;
+    if (!request.body) return "";
+
+    const reader = request.body.getReader();
+    const chunks = [];
+    let size = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        size += value.byteLength;
+        if (size > maxBytes) {
+            await reader.cancel();
+            return null;
+        }
+        chunks.push(value);
+    }
 
-    if (!pin || !deviceId) {
-        throw new Error("Missing pin (code) or deviceId (id). Set via query params or secrets.");
+    const bytes = new Uint8Array(size);
+    let offset = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.byteLength;
     }
+    return new TextDecoder().decode(bytes);
+}
 
-    // Use deviceId as serialNumber if available, or fallback to UUID
-    const serialNumber = deviceId || uuidv4();
+/**
+ * Count a request against rate limits (see rateLimit.js). Returns a 429
+ * response if any limit is used up, or null to carry on — an HTML page for
+ * browser routes, JSON for Apple Wallet.
+ *
+ * @param {Array<{name:string, id:string}>} checks
+ */
+async function rateLimited(env, checks, { page = false } = {}) {
+    const { limited, retryAfter } = await checkRateLimits(env, checks);
+    if (!limited) return null;
+
+    const headers = { "Retry-After": String(retryAfter) };
+    if (page) {
+        return html(messagePage("Too many tries", "Wait a few minutes, then try again."), 429, headers);
+    }
+    return json({ error: "Too many requests, try again later" }, 429, headers);
+}
 
-    // Generate a unique random authentication token for this pass, or reuse existing
-    const authenticationToken = existingAuthToken || crypto.randomUUID();
+/**
+ * Map an error to an HTTP response. GET failures get a status that says what
+ * went wrong (and a Retry-After where waiting helps); anything else is a 500.
+ */
+function errorResponse(err) {
+    if (err instanceof PassDeletedError) {
+        return json({ error: "Pass not found" }, 404);
+    }
+    if (err instanceof GETRateLimitError) {
+        return json({ error: "GET is rate limiting requests, try again shortly" }, 429, {
+            "Retry-After": String(err.retryAfter || 30),
+        });
+    }
+    if (err instanceof GETUnavailableError) {
+        return json({ error: "GET is unavailable right now, try again later" }, 503, {
+            "Retry-After": String(err.retryAfter || 60),
+        });
+    }
+    if (err instanceof GETSessionExpiredError) {
+        return json({ error: "GET session expired, log in again" }, 401);
+    }
+    if (err instanceof GETAuthError) {
+        return json({ error: "GET rejected the CBORD credentials" }, 403);
+    }
+    if (err instanceof GETError) {
+        // Malformed or unexpected GET responses: the upstream misbehaved
+        return json({ error: "Unexpected response from GET" }, 502);
+    }
+    return json({ error: err.message }, 500);
+}
 
-    // Parse pass.json to get passTypeIdentifier
-    const passJson = JSON.parse(new TextDecoder().decode(passJsonBuffer));
+/**
+ * Fetch recent purchases for the back of the pass. History is a nice-to-have,
+ * so a GET failure here is logged and the pass is built without it.
+ */
+async function fetchRecentTransactions(env, sessionId) {
+    const count = transactionCount(env);
+    if (count === 0) return [];
+    try {
+        return await retrieveTransactionHistory(sessionId, count);
+    } catch (err) {
+        console.error("[Pass] Transaction history unavailable:", err);
+        return [];
+    }
+}
 
-    const sessionId = await authenticatePIN(pin, deviceId);
-    const barcodePayload = await retrieveBarcode(sessionId);
-    const accounts = await retrieveAccounts(sessionId);
+/**
+ * Fetch everything shown on the pass, reusing a cached GET session when possible.
+ * @returns {Promise<{barcodePayload:string, accounts:Array, transactions:Array}>}
+ */
+async function fetchPassData(env, deviceId, pin) {
+    return withGETSession(env, { deviceId, pin }, async (sessionId) => {
+        const barcodePayload = await retrieveBarcode(sessionId);
+        const accounts = await retrieveAccounts(sessionId);
+        const transactions = await fetchRecentTransactions(env, sessionId);
+        return { barcodePayload, accounts, transactions };
+    });
+}
 
-    const activeAccounts = accounts.filter(
-        (a) => a.isActive && a.isAccountTenderActive
-    );
-    const totalBalance = activeAccounts.reduce(
-        (sum, a) => sum + (a.balance || 0),
-        0
+// ─── Stored credentials ──────────────────────────────────────────────
+
+/**
+ * Look up a stored pass's CBORD credentials in Convex and decrypt them.
+ * @returns {Promise<{deviceId:string|null, pin:string|null, relinkToken:string|null}>}
+ */
+async function loadPassCredentials(env, { passTypeIdentifier, serialNumber }) {
+    const convex = getConvexClient(env);
+    const stored = await convex.getPassCredentials({ passTypeIdentifier, serialNumber });
+    const relinkToken = stored.relinkToken ?? null;
+
+    if (stored.credentials) {
+        const { deviceId, pin } = await openCredentials(env, { passTypeIdentifier, serialNumber }, stored.credentials);
+        return { deviceId, pin, relinkToken };
+    }
+    // Plaintext row from before encryption, until rotateCredentials migrates it
+    return { deviceId: stored.cbordDeviceId ?? null, pin: stored.cbordPin ?? null, relinkToken };
+}
+
+/** Whether loaded credentials hold a usable deviceId + PIN. */
+function hasCredentials(credentials) {
+    return Boolean(credentials.deviceId && credentials.pin);
+}
+
+/**
+ * Bring one pass's stored credentials onto the current key version:
+ * re-wrap encrypted ones, encrypt legacy plaintext ones.
+ * @returns {Promise<object|null>} new encrypted credentials, or null if already current
+ */
+async function rewrapStoredCredentials(env, { passTypeIdentifier, serialNumber, credentials, cbordDeviceId, cbordPin }) {
+    if (credentials) return rewrapValue(env, credentials);
+    if (!cbordDeviceId || !cbordPin) return null;
+    return sealCredentials(env, { passTypeIdentifier, serialNumber }, { deviceId: cbordDeviceId, pin: cbordPin });
+}
+
+/**
+ * Give a pass from before random serials new CBORD credentials. Those passes
+ * use their CBORD deviceId as the serial number, which Wallet can't change, so
+ * instead the deviceId behind the serial is retired: a new deviceId + PIN is
+ * created with the old login and stored, and only then is the old PIN
+ * deleted. The installed pass keeps its serial and keeps working.
+ *
+ * If the new credentials can't be stored, the new PIN is deleted and the pass
+ * keeps its old login.
+ *
+ * @returns {Promise<boolean>} whether the pass got new credentials (false if
+ *   it doesn't need them)
+ */
+async function reissueLegacyCredentials(env, { passId, passTypeIdentifier, serialNumber, credentials, cbordDeviceId, cbordPin }) {
+    const pass = { passTypeIdentifier, serialNumber };
+    const { deviceId, pin } = credentials
+        ? await openCredentials(env, pass, credentials)
+        : { deviceId: cbordDeviceId, pin: cbordPin };
+    if (!deviceId || !pin || deviceId !== serialNumber) return false;
+
+    const fresh = generateCredentials();
+    const sealed = await sealCredentials(env, pass, fresh);
+    const convex = getConvexClient(env);
+    let stored = false;
+    await withGETSession(env, { deviceId, pin }, async (sessionId) => {
+        // On a retry with a fresh session, only the old PIN is left to delete
+        if (!stored) {
+            await storeNewCredentials(env, sessionId, fresh, () =>
+                convex.storeRotatedCredentials([{ passId, credentials: sealed }])
+            );
+            stored = true;
+        }
+        await deletePIN(sessionId, deviceId);
+    });
+    await clearGETSession(env, deviceId).catch((err) => {
+        console.error("[Reissue] Failed to clear cached GET session:", err);
+    });
+
+    return true;
+}
+
+/**
+ * Register a new deviceId + PIN on GET, then `store` it. If storing fails, the
+ * new PIN is deleted again, so it can't stay live with no record of it.
+ */
+async function storeNewCredentials(env, sessionId, fresh, store) {
+    await createPIN(sessionId, fresh.deviceId, fresh.pin);
+    try {
+        await store();
+    } catch (err) {
+        await retireCredentials(env, sessionId, fresh.deviceId);
+        throw err;
+    }
+}
+
+/**
+ * Delete a PIN that a pass no longer uses: the one it was re-issued from, or a
+ * new one that couldn't be stored. The session must belong to the same patron.
+ * Failures are only logged: the PIN may already be gone, and the pass works
+ * either way.
+ */
+async function retireCredentials(env, sessionId, deviceId) {
+    try {
+        await deletePIN(sessionId, deviceId);
+    } catch (err) {
+        console.error("[Pass] Failed to delete an unused PIN:", err);
+    }
+    await clearGETSession(env, deviceId).catch((err) => {
+        console.error("[Pass] Failed to clear cached GET session:", err);
+    });
+}
+
+// ─── Re-linking ──────────────────────────────────────────────────────
+
+// Content hash recorded while a pass shows the re-link pass, so switching to
+// it is pushed once and later checks see no change until the pass is re-linked.
+const RELINK_CONTENT_HASH = "relink-needed";
+
+/** A pass was deleted while a request for it was being handled. */
+class PassDeletedError extends Error {}
+
+/**
+ * Flag a pass whose stored credentials GET rejected. Returns its relink token;
+ * a token issued earlier is kept so the link already on the pass stays valid.
+ * Returns null if the pass has been deleted.
+ */
+async function markRelinkNeeded(env, { passTypeIdentifier, serialNumber }) {
+    console.warn(`[Relink] Stored credentials no longer work for serial=${serialNumber}`);
+    const convex = getConvexClient(env);
+    return convex.markCredentialsInvalid({
+        passTypeIdentifier,
+        serialNumber,
+        relinkToken: crypto.randomUUID(),
+    });
+}
+
+/**
+ * Bind new CBORD credentials, created with `sessionId`, to the pass waiting on
+ * a relink token. The session must belong to the patron the pass was issued
+ * to, so a leaked relink link can't tie the pass to someone else's GET
+ * account. The new credentials are stored before the old PIN is deleted; if
+ * storing them fails, or another tab re-linked first, the new PIN is deleted
+ * instead of being left live on GET.
+ * @returns {Promise<"relinked"|"wrongPatron"|"expired">}
+ */
+async function relinkPassCredentials(env, sessionId, relinkToken, pass) {
+    const { passTypeIdentifier, serialNumber } = pass;
+    const { patronKeys, pass: patronPass } = await findPatronPass(env, sessionId);
+    const ownPass = patronPass
+        ? patronPass.passTypeIdentifier === passTypeIdentifier && patronPass.serialNumber === serialNumber
+        // Passes issued before patrons were recorded have no owner to check against
+        : !pass.hasPatron;
+    if (!ownPass) return "wrongPatron";
+
+    const previousCredentials = await loadPassCredentials(env, pass).catch((err) => {
+        console.error("[Relink] Could not read the previous credentials:", err);
+        return null;
+    });
+
+    const creds = generateCredentials();
+    await createPIN(sessionId, creds.deviceId, creds.pin);
+
+    const convex = getConvexClient(env);
+    let relinked;
+    try {
+        relinked = await convex.relinkPass({
+            relinkToken,
+            credentials: await sealCredentials(env, pass, { deviceId: creds.deviceId, pin: creds.pin }),
+        });
+    } catch (err) {
+        await retireCredentials(env, sessionId, creds.deviceId);
+        throw err;
+    }
+    // Another tab finished re-linking with the same token first
+    if (!relinked) {
+        await retireCredentials(env, sessionId, creds.deviceId);
+        return "expired";
+    }
+
+    await convex.upsertUser({ patronKeys, passTypeIdentifier, serialNumber }).catch((err) => {
+        console.error(`[Relink] Failed to record the patron for serial=${serialNumber}:`, err);
+    });
+    if (previousCredentials?.deviceId) {
+        await retireCredentials(env, sessionId, previousCredentials.deviceId);
+    }
+    return "relinked";
+}
+
+/** Shown for a relink token that was already used or never issued. */
+function expiredRelinkPage() {
+    return messagePage(
+        "This link has expired",
+        "It was already used or isn't valid. If your pass still says \u201cRe-link needed\u201d, open the link on the back of the pass again."
     );
-    const balanceText = `$${totalBalance.toFixed(2)}`;
+}
+
+/**
+ * Sign the voided "Re-link needed" pass that links to the re-link flow.
+ */
+async function renderRelinkPass(env, request, { passTypeIdentifier, serialNumber, authenticationToken, relinkToken }) {
+    const origin = env.WEB_SERVICE_URL || new URL(request.url).origin;
+    return generateRelinkPass({
+        serialNumber,
+        authenticationToken,
+        relinkURL: `${origin}/relink?token=${encodeURIComponent(relinkToken)}`,
+        ...(await manageLinks(env, origin, { passTypeIdentifier, serialNumber })),
+        webServiceURL: origin,
+        env,
+    });
+}
 
-    // const primaryAccount =
-        // activeAccounts.find((a) => a.accountType === 3) || activeAccounts[0];
-    // const accountName = primaryAccount
-    //     ? primaryAccount.accountDisplayName
-    //     : "GET Account";
-    const accountName = "Slug Points";
+/**
+ * Delete a stored pass's CBORD PIN on GET so it can never log in again.
+ * A PIN that GET already rejects counts as revoked.
+ * @param {{clearSession?:boolean}} [options] – clearSession: false leaves the
+ *   cached GET session for the caller to delete
+ * @returns {Promise<{revoked:boolean, error?:string}>}
+ */
+async function revokePassCredentials(env, { passTypeIdentifier, serialNumber }, { clearSession = true } = {}) {
+    const credentials = await loadPassCredentials(env, { passTypeIdentifier, serialNumber });
+    if (!hasCredentials(credentials)) {
+        // Nothing stored, so nothing left to revoke
+        return { revoked: true };
+    }
 
-    const passBuffer = await generatePass({
+    const { deviceId, pin } = credentials;
+    try {
+        await withGETSession(env, { deviceId, pin }, (sessionId) => deletePIN(sessionId, deviceId));
+    } catch (err) {
+        if (!(err instanceof GETAuthError)) {
+            console.error(`[Revoke] Failed for serial=${serialNumber}:`, err);
+            return { revoked: false, error: err.message };
+        }
+    }
+    if (clearSession) {
+        await clearGETSession(env, deviceId).catch((err) => {
+            console.error("[Revoke] Failed to clear cached GET session:", err);
+        });
+    }
+    return { revoked: true };
+}
+
+/**
+ * Fetch fresh GET data for a stored pass and fingerprint it, without signing.
+ * Used by the Convex change-detection cron to decide which passes to push.
+ */
+async function refreshPassContent(env, { passTypeIdentifier, serialNumber }) {
+    try {
+        const credentials = await loadPassCredentials(env, { passTypeIdentifier, serialNumber });
+        if (!hasCredentials(credentials)) {
+            // Revoked after the pass left every device, and now it's back
+            await markRelinkNeeded(env, { passTypeIdentifier, serialNumber });
+            return { passTypeIdentifier, serialNumber, contentHash: RELINK_CONTENT_HASH };
+        }
+        if (credentials.relinkToken) {
+            return { passTypeIdentifier, serialNumber, contentHash: RELINK_CONTENT_HASH };
+        }
+
+        let data;
+        try {
+            data = await fetchPassData(env, credentials.deviceId, credentials.pin);
+        } catch (err) {
+            if (!(err instanceof GETAuthError)) throw err;
+            await markRelinkNeeded(env, { passTypeIdentifier, serialNumber });
+            return { passTypeIdentifier, serialNumber, contentHash: RELINK_CONTENT_HASH };
+        }
+        const contentHash = await passContentHash(data, env);
+        return { passTypeIdentifier, serialNumber, contentHash };
+    } catch (err) {
+        console.error(`[Refresh] Failed for serial=${serialNumber}:`, err);
+        return { passTypeIdentifier, serialNumber, error: err.message };
+    }
+}
+
+/**
+ * Sign a pass from already-fetched GET data.
+ */
+async function renderPass(env, request, { serialNumber, authenticationToken, passTypeIdentifier, data }) {
+    // Derive webServiceURL from the incoming request origin; env var is an optional override
+    const webServiceURL = env.WEB_SERVICE_URL || new URL(request.url).origin;
+    const { barcodePayload, accounts, transactions } = data;
+
+    // Record balances in Convex so fields can say what changed since the last
+    // fetch. The history is a nicety: without it the pass is still served,
+    // just without change messages.
+    const convex = getConvexClient(env);
+    const balanceChanges = await convex
+        .recordBalances({
+            passTypeIdentifier,
+            serialNumber,
+            balances: accountBalances(accounts, env),
+        })
+        .catch((err) => {
+            console.error(`[Pass] Failed to record balances for serial=${serialNumber}:`, err);
+            return [];
+        });
+
+    const accountFields = buildAccountFields(accounts, env, balanceChanges);
+    const transactionFields = buildTransactionFields(transactions);
+
+    return generatePass({
         serialNumber,
         barcodePayload,
         authenticationToken,
-        balanceText,
-        accountName,
+        accountFields,
+        transactionFields,
+        ...(await manageLinks(env, webServiceURL, { passTypeIdentifier, serialNumber })),
         webServiceURL,
         env,
     });
+}
 
-    return { passBuffer, serialNumber, authenticationToken, passTypeIdentifier: passJson.passTypeIdentifier };
-}
-
-// ─── Landing page HTML ───────────────────────────────────────────────
-
-const LANDING_HTML = `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>GET Card – Apple Wallet</title>
-  <style>
-    * { margin: 0; padding: 0; box-sizing: border-box; }
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      min-height: 100vh;
-      display: flex; align-items: center; justify-content: center;
-      background: linear-gradient(135deg, #003366 0%, #004080 50%, #001a33 100%);
-      color: white;
+/**
+ * Find the pass issued to the GET patron a session belongs to.
+ * @returns {Promise<{patronKeys:string[], pass:{passTypeIdentifier:string, serialNumber:string, authenticationToken:string}|null}>}
+ */
+async function findPatronPass(env, sessionId) {
+    const patron = await retrieveUser(sessionId);
+    const patronKeys = await identifierHashes(env, patron.id);
+    const pass = await getConvexClient(env).findUserPass({ patronKeys });
+    return { patronKeys, pass };
+}
+
+/** passTypeIdentifier of the pass model every pass is issued from. */
+function modelPassTypeIdentifier() {
+    return JSON.parse(new TextDecoder().decode(passJsonBuffer)).passTypeIdentifier;
+}
+
+/**
+ * Sign a GET user up with a validated session: create fresh CBORD credentials
+ * and store them on the patron's pass. One pass per GET patron — signing up
+ * again re-issues the same pass (same serial and auth token) and deletes the
+ * PIN it used before.
+ * @returns {Promise<{passTypeIdentifier:string, serialNumber:string}>}
+ */
+async function issuePass(env, sessionId) {
+    const convex = getConvexClient(env);
+
+    const { patronKeys, pass: existingPass } = await findPatronPass(env, sessionId);
+    const previousCredentials = existingPass
+        ? await loadPassCredentials(env, existingPass).catch((err) => {
+            console.error("[Pass] Could not read the previous credentials:", err);
+            return null;
+        })
+        : null;
+
+    const creds = generateCredentials();
+    await createPIN(sessionId, creds.deviceId, creds.pin);
+
+    // Random serial, unrelated to the CBORD deviceId: it appears in Wallet
+    // URLs, filenames and logs, so it must not reveal half of a login
+    const passTypeIdentifier = existingPass?.passTypeIdentifier || modelPassTypeIdentifier();
+    const serialNumber = existingPass?.serialNumber || crypto.randomUUID();
+    const authenticationToken = existingPass?.authenticationToken || crypto.randomUUID();
+
+    // Store the per-pass auth token and encrypted credentials in Convex (pass
+    // record only, no device). A PIN that can't be stored is deleted again.
+    try {
+        await convex.upsertPass({
+            passTypeIdentifier,
+            serialNumber,
+            authenticationToken,
+            credentials: await sealCredentials(env, { passTypeIdentifier, serialNumber }, creds),
+        });
+    } catch (err) {
+        await retireCredentials(env, sessionId, creds.deviceId);
+        throw err;
     }
-    .card {
-      background: rgba(255,255,255,0.1);
-      backdrop-filter: blur(20px);
-      border-radius: 20px;
-      padding: 40px;
-      text-align: center;
-      max-width: 460px;
-      border: 1px solid rgba(255,255,255,0.15);
+    await convex.upsertUser({ patronKeys, passTypeIdentifier, serialNumber });
+
+    // Only once the new credentials are stored, so a failure above leaves the old ones working
+    if (previousCredentials && hasCredentials(previousCredentials)) {
+        await retireCredentials(env, sessionId, previousCredentials.deviceId);
     }
-    h1 { font-size: 1.8em; margin-bottom: 8px; }
-    p { color: rgba(255,255,255,0.7); margin-bottom: 20px; }
-    .btn {
-      display: inline-block;
-      background: white;
-      color: #003366;
-      padding: 14px 32px;
-      border-radius: 12px;
-      text-decoration: none;
-      font-weight: 600;
-      font-size: 1.05em;
-      transition: transform 0.15s, box-shadow 0.15s;
-      border: none;
-      cursor: pointer;
+
+    console.log(`[Pass] ${existingPass ? "Re-issued" : "Issued"} pass serial=${serialNumber}`);
+    return { passTypeIdentifier, serialNumber };
+}
+
+/**
+ * HTML error page for a failed login flow (sign-up or re-link), with the
+ * status errorResponse would use.
+ */
+function loginErrorPage(err, title, retryHint) {
+    let reason = "Something went wrong on our side.";
+    if (err instanceof GETAuthError || err instanceof GETSessionExpiredError) {
+        reason = "GET didn't accept that login.";
+    } else if (err instanceof GETError) {
+        reason = "GET is having trouble right now.";
     }
-    .btn:hover { transform: translateY(-2px); box-shadow: 0 6px 20px rgba(0,0,0,0.3); }
-    .btn:disabled { opacity: 0.5; transform: none; cursor: not-allowed; }
-    .sub { margin-top: 16px; font-size: 0.85em; color: rgba(255,255,255,0.45); }
-    .steps { text-align: left; margin-bottom: 24px; }
-    .step { display: flex; align-items: flex-start; gap: 12px; margin-bottom: 16px; }
-    .step-num {
-      background: rgba(255,255,255,0.2);
-      width: 28px; height: 28px; min-width: 28px;
-      border-radius: 50%; display: flex;
-      align-items: center; justify-content: center;
-      font-weight: 700; font-size: 0.85em;
+    return html(messagePage(title, `${reason} ${retryHint}`), errorResponse(err).status);
+}
+
+// ─── Download tokens ─────────────────────────────────────────────────
+
+// How long a download link works after sign-up. It is also single-use.
+const DOWNLOAD_TOKEN_TTL_MS = 5 * 60 * 1000;
+
+/** Hex SHA-256 of a token; Convex only ever sees token hashes. */
+async function hashToken(token) {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(token));
+    return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Create a short-lived, single-use token for downloading a pass.
+ * @returns {Promise<string>} the token (only its hash is stored)
+ */
+async function createDownloadToken(env, { passTypeIdentifier, serialNumber }) {
+    const token = [...crypto.getRandomValues(new Uint8Array(32))]
+        .map((b) => b.toString(16).padStart(2, "0"))
+        .join("");
+
+    const convex = getConvexClient(env);
+    await convex.createDownloadToken({
+        tokenHash: await hashToken(token),
+        passTypeIdentifier,
+        serialNumber,
+        expiresAt: Date.now() + DOWNLOAD_TOKEN_TTL_MS,
+    });
+    return token;
+}
+
+// ─── Manage page ─────────────────────────────────────────────────────
+
+// The manage page URL carries the pass's manage token: keep it out of caches
+// and out of the Referer sent to other sites.
+const MANAGE_PAGE_HEADERS = { "Cache-Control": "no-store", "Referrer-Policy": "no-referrer" };
+
+/**
+ * Links to a pass's manage and deletion pages for the back of the pass.
+ * Passes issued before the manage page get their token the next time they're signed.
+ * @returns {Promise<{manageURL?:string, deleteURL?:string}>}
+ */
+async function manageLinks(env, origin, { passTypeIdentifier, serialNumber }) {
+    const convex = getConvexClient(env);
+    const manageToken = await convex.ensureManageToken({
+        passTypeIdentifier,
+        serialNumber,
+        manageToken: crypto.randomUUID(),
+    });
+    if (!manageToken) return {};
+
+    const token = encodeURIComponent(manageToken);
+    return {
+        manageURL: `${origin}/manage?token=${token}`,
+        deleteURL: `${origin}/manage/delete?token=${token}`,
+    };
+}
+
+/** Shown for a manage token that doesn't belong to any pass. */
+function expiredManagePage() {
+    return messagePage(
+        "This link doesn't work",
+        "The pass may have been deleted. Open \u201cManage your pass\u201d on the back of your pass again, or log in with UCSC on the manage page."
+    );
+}
+
+/**
+ * Read the manage token posted by a manage page form and look up its pass.
+ * @returns {Promise<{form:FormData, token:string|null, pass:object|null}>}
+ */
+async function readManageForm(env, request) {
+    const form = await request.formData();
+    const token = form.get("token");
+    const convex = getConvexClient(env);
+    const pass = token ? await convex.getManagedPass({ manageToken: token }) : null;
+    return { form, token, pass };
+}
+
+/**
+ * Give a pass a new CBORD deviceId + PIN, created with its current login.
+ * The new credentials are stored before the old PIN is deleted, so a failure
+ * part-way leaves the pass working with one or the other; if they can't be
+ * stored, the new PIN is deleted again. The pass content doesn't change, so
+ * lastUpdated isn't bumped and devices don't download it again.
+ * @returns {Promise<boolean>} false if the pass has no working credentials to
+ *   log in with (it needs re-linking instead)
+ */
+async function rotatePassCredentials(env, { passId, passTypeIdentifier, serialNumber }) {
+    const pass = { passTypeIdentifier, serialNumber };
+    const credentials = await loadPassCredentials(env, pass);
+    if (!hasCredentials(credentials) || credentials.relinkToken) return false;
+
+    const fresh = generateCredentials();
+    const sealed = await sealCredentials(env, pass, fresh);
+    const convex = getConvexClient(env);
+    let stored = false;
+    await withGETSession(env, credentials, async (sessionId) => {
+        // On a retry with a fresh session, only the old PIN is left to delete
+        if (!stored) {
+            await storeNewCredentials(env, sessionId, fresh, () =>
+                convex.storeRotatedCredentials([{ passId, credentials: sealed }])
+            );
+            stored = true;
+        }
+        await retireCredentials(env, sessionId, credentials.deviceId);
+    });
+
+    console.log(`[Manage] Rotated credentials for serial=${serialNumber}`);
+    return true;
+}
+
+/**
+ * Revoke a pass's CBORD PIN, then delete everything stored for it in Convex
+ * and its signed copy in the edge cache.
+ * Nothing is deleted if the PIN can't be revoked: afterwards there would be
+ * no record left to revoke it from.
+ * @returns {Promise<{revoked:boolean, receipt?:{deletedAt:number, deleted:object}|null}>}
+ *   receipt is null if another request deleted the pass first
+ */
+async function purgePass(env, manageToken, { passTypeIdentifier, serialNumber, contentHash }) {
+    const pass = { passTypeIdentifier, serialNumber };
+    const credentials = await loadPassCredentials(env, pass);
+
+    // Cached sessions are keyed by the deviceId's hash under each key version.
+    // They're left for purgeManagedPass to delete, so the receipt counts them.
+    const revocation = await revokePassCredentials(env, pass, { clearSession: false });
+    if (!revocation.revoked) return { revoked: false };
+
+    const sessionKeys = credentials.deviceId ? await identifierHashes(env, credentials.deviceId) : [];
+    const convex = getConvexClient(env);
+    const deleted = await convex.purgeManagedPass({ manageToken, sessionKeys });
+
+    if (contentHash) {
+        await evictSignedPass(env, { passTypeIdentifier, serialNumber, contentHash }).catch((err) => {
+            console.error("[Manage] Failed to evict cached signed pass:", err);
+        });
     }
-    .step-num.active { background: white; color: #003366; }
-    .step-content p { margin-bottom: 8px; color: rgba(255,255,255,0.85); }
-    .link-input {
-      width: 100%; padding: 12px; border-radius: 10px;
-      border: 2px solid rgba(255,255,255,0.2); background: rgba(0,0,0,0.3);
-      color: white; font-size: 0.95em; outline: none;
-      transition: border-color 0.2s;
+    if (!deleted) {
+        if (credentials.deviceId) {
+            await clearGETSession(env, credentials.deviceId).catch((err) => {
+                console.error("[Manage] Failed to clear cached GET session:", err);
+            });
+        }
+        return { revoked: true, receipt: null };
     }
-    .link-input:focus { border-color: rgba(255,255,255,0.5); }
-    .link-input::placeholder { color: rgba(255,255,255,0.35); }
-    .error { color: #ff6b6b; font-size: 0.85em; margin-top: 8px; display: none; }
-    .loading { display: none; margin: 20px auto; }
-    .loading.show { display: block; }
-    .spinner {
-      width: 32px; height: 32px; border: 3px solid rgba(255,255,255,0.2);
-      border-top-color: white; border-radius: 50%; margin: 0 auto 10px;
-      animation: spin 0.8s linear infinite;
+
+    console.log(`[Manage] Deleted pass serial=${serialNumber}`);
+    return { revoked: true, receipt: { deletedAt: Date.now(), deleted } };
+}
+
+// In-flight work per isolate, shared by concurrent update requests for the same pass
+const inFlightPassData = new Map();
+const inFlightSignedPasses = new Map();
+
+/**
+ * Fetch the latest GET data for a stored pass and fingerprint it. Devices that
+ * fetch the same pass at the same time share one GET fetch.
+ */
+async function fetchLatestPassContent(env, { passTypeIdentifier, serialNumber, credentials }) {
+    const data = await coalesce(inFlightPassData, `${passTypeIdentifier}/${serialNumber}`, () =>
+        fetchPassData(env, credentials.deviceId, credentials.pin)
+    );
+    const contentHash = await passContentHash(data, env);
+    return { data, contentHash };
+}
+
+/**
+ * Sign the latest version of a stored pass. Requests for the same content
+ * share one signed .pkpass, in flight or from the signed-pass cache.
+ */
+async function signUpdatedPass(env, request, { passTypeIdentifier, serialNumber, authenticationToken, data, contentHash }) {
+    const key = `${passTypeIdentifier}/${serialNumber}/${contentHash}`;
+    return coalesce(inFlightSignedPasses, key, () =>
+        cachedSignedPass(env, { passTypeIdentifier, serialNumber, contentHash }, () =>
+            renderPass(env, request, { serialNumber, authenticationToken, passTypeIdentifier, data })
+        )
+    );
+}
+
+/**
+ * Work out what a device asking for a stored pass should get: the latest GET
+ * data, or the re-link pass if GET no longer accepts the stored credentials
+ * (or they were revoked).
+ * Returns the content hash to record and a function that signs the pass.
+ *
+ * @returns {Promise<{contentHash:string, sign:() => Promise<ArrayBuffer|Uint8Array>}>}
+ */
+async function loadStoredPass(env, request, { passTypeIdentifier, serialNumber, authenticationToken, credentials }) {
+    const relink = (relinkToken) => {
+        if (!relinkToken) throw new PassDeletedError(`Pass serial=${serialNumber} was deleted`);
+        return {
+            contentHash: RELINK_CONTENT_HASH,
+            sign: () => renderRelinkPass(env, request, { passTypeIdentifier, serialNumber, authenticationToken, relinkToken }),
+        };
+    };
+
+    if (!hasCredentials(credentials)) {
+        // Revoked after the pass left every device, and now it's back
+        return relink(await markRelinkNeeded(env, { passTypeIdentifier, serialNumber }));
     }
-    @keyframes spin { to { transform: rotate(360deg); } }
-  </style>
-</head>
-<body>
-  <div class="card">
-    <h1>\ud83c\udf93 GET Card</h1>
-    <p>Add your UCSC dining barcode to Apple Wallet.</p>
-    <div id="form-section">
-      <div class="steps">
-        <div class="step">
-          <div class="step-num active">1</div>
-          <div class="step-content">
-            <p>Sign in with your UCSC account:</p>
-            <a class="btn" href="https://get.cbord.com/ucsc/full/login.php?mobileapp=1" target="_blank" rel="noopener noreferrer" style="font-size:0.9em; padding:10px 20px;">Log in with UCSC \u2197</a>
-          </div>
-        </div>
-        <div class="step">
-          <div class="step-num active">2</div>
-          <div class="step-content">
-            <p>Once you see \u201cvalidated\u201d, copy the page URL and paste it here:</p>
-            <input type="text" id="link-input" class="link-input" placeholder="Paste the validated URL here\u2026" autocomplete="off">
-            <div id="error-msg" class="error">Hmm, that doesn\u2019t look like a valid link. Try again?</div>
-          </div>
-        </div>
-      </div>
-    </div>
-    <div id="loading-section" class="loading">
-      <div class="spinner"></div>
-      <p style="color:rgba(255,255,255,0.8)">Generating your pass\u2026</p>
-    </div>
-    <p class="sub">Your barcode will automatically refresh once added.</p>
-  </div>
-  <script>
-    var input = document.getElementById('link-input');
-    var errorMsg = document.getElementById('error-msg');
-    var formSection = document.getElementById('form-section');
-    var loadingSection = document.getElementById('loading-section');
-    var UUID_RE = /([0-9A-Fa-f]{8}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{12})/;
-
-    input.addEventListener('input', function() {
-      errorMsg.style.display = 'none';
-      var val = input.value.trim();
-      if (val.length >= 32) {
-        var match = val.match(UUID_RE);
-        if (match) {
-          submitSession(match[1]);
-        } else {
-          errorMsg.style.display = 'block';
-        }
-      }
-    });
+    if (credentials.relinkToken) return relink(credentials.relinkToken);
 
-    function submitSession(sessionId) {
-      formSection.style.display = 'none';
-      loadingSection.classList.add('show');
-      window.location.href = '/pass?sessionId=' + encodeURIComponent(sessionId);
+    try {
+        const { data, contentHash } = await fetchLatestPassContent(env, { passTypeIdentifier, serialNumber, credentials });
+        return {
+            contentHash,
+            sign: () => signUpdatedPass(env, request, { passTypeIdentifier, serialNumber, authenticationToken, data, contentHash }),
+        };
+    } catch (err) {
+        if (!(err instanceof GETAuthError)) throw err;
+        return relink(await markRelinkNeeded(env, { passTypeIdentifier, serialNumber }));
     }
-  </script>
-</body>
-</html>`;
+}
+
+/**
+ * Whether the client's If-Modified-Since covers a pass last changed at
+ * `lastModified` (epoch ms). HTTP dates have one-second precision.
+ */
+function isNotModified(request, lastModified) {
+    const header = request.headers.get("If-Modified-Since");
+    if (!header) return false;
+    const since = Date.parse(header);
+    if (Number.isNaN(since)) return false;
+    return Math.floor(lastModified / 1000) <= Math.floor(since / 1000);
+}
 
 // ═══════════════════════════════════════════════════════════════════════
 // WORKER FETCH HANDLER
@@ -255,54 +847,84 @@ const LANDING_HTML = `<!DOCTYPE html>
 export default {
     async fetch(request, env, ctx) {
         const url = new URL(request.url);
+        const ip = clientIp(request);
         let params;
 
         try {
             // ── Landing page ──
             if (request.method === "GET" && url.pathname === "/") {
-                return new Response(LANDING_HTML, {
-                    headers: { "Content-Type": "text/html;charset=UTF-8" },
-                });
+                return html(landingPage());
             }
 
-            // ── Download pass ──
-            if (request.method === "GET" && url.pathname === "/pass") {
-                const sessionId = url.searchParams.get("sessionId");
-
-                let id, code;
-
-                if (sessionId) {
-                    // URL-based login flow: auto-generate credentials from session
-                    const creds = generateCredentials();
-                    await createPIN(sessionId, creds.deviceId, creds.pin);
-                    id = creds.deviceId;
-                    code = creds.pin;
-                    console.log(`[Pass] Created credentials for session, deviceId=${id}`);
-                } else {
-                    // Legacy fallback: manual id/code params or env vars
-                    id = url.searchParams.get("id");
-                    code = url.searchParams.get("code");
+            // ── Sign up: trade a GET session for a one-time download link ──
+            if (request.method === "POST" && url.pathname === "/pass/token") {
+                const limited = await rateLimited(env, [{ name: "signUpPerIp", id: ip }], { page: true });
+                if (limited) return limited;
+
+                const form = await request.formData();
+                const sessionId = form.get("sessionId");
+                if (!sessionId) {
+                    return html(messagePage("Something's missing", "Go back, log in with UCSC and paste the validated link."), 400);
                 }
 
-                const { passBuffer, serialNumber, authenticationToken, passTypeIdentifier } = await buildPassBuffer(env, request, id, code);
+                let token;
+                try {
+                    const pass = await issuePass(env, sessionId);
+                    token = await createDownloadToken(env, pass);
+                } catch (err) {
+                    console.error("[Pass] Sign-up failed:", err);
+                    return loginErrorPage(err, "Couldn't create your pass", "Go back, log in with UCSC again and paste the new link.");
+                }
 
-                // Store the per-pass auth token in Convex (pass record only, no device)
+                // 303 turns the POST into a GET of the download link, so the
+                // session ID never appears in a URL or the browser history
+                return seeOther(`/pass?token=${token}`);
+            }
+
+            // ── Download pass (one-time token from /pass/token) ──
+            if (request.method === "GET" && url.pathname === "/pass") {
+                const limited = await rateLimited(env, [{ name: "pagePerIp", id: ip }], { page: true });
+                if (limited) return limited;
+
+                const token = url.searchParams.get("token");
+                const tokenHash = token ? await hashToken(token) : null;
                 const convex = getConvexClient(env);
-                await convex.upsertPass({
-                    passTypeIdentifier,
-                    serialNumber,
-                    authenticationToken,
-                    cbordDeviceId: id,
-                    cbordPin: code,
-                });
+                const expiredLink = () =>
+                    html(messagePage("This download link has expired", "Download links work once, for a few minutes. Go back to the start page and log in again."), 404);
+
+                // The token is only used up once the pass is built, so a GET
+                // or signing failure leaves the link working for a retry
+                const pass = tokenHash ? await convex.getDownloadToken({ tokenHash }) : null;
+                if (!pass) return expiredLink();
 
-                const filename = id ? `GetCard-${id}.pkpass` : "GetCard.pkpass";
+                const { passTypeIdentifier, serialNumber, authenticationToken } = pass;
+                let recorded, passBuffer;
+                try {
+                    const credentials = await loadPassCredentials(env, { passTypeIdentifier, serialNumber });
+                    const { contentHash, sign } = await loadStoredPass(env, request, {
+                        passTypeIdentifier,
+                        serialNumber,
+                        authenticationToken,
+                        credentials,
+                    });
+                    [recorded] = await convex.recordContentHashes(
+                        [{ passTypeIdentifier, serialNumber, contentHash }],
+                        { fetched: true }
+                    );
+                    passBuffer = await sign();
+                } catch (err) {
+                    console.error(`[Pass] Download failed for serial=${serialNumber}:`, err);
+                    return loginErrorPage(err, "Couldn't build your pass", "Your download link still works for a few minutes, so try it again.");
+                }
+
+                // Another request may have used the link while this one was building
+                if (!(await convex.consumeDownloadToken({ tokenHash }))) return expiredLink();
 
                 return new Response(passBuffer, {
                     headers: {
                         "Content-Type": "application/vnd.apple.pkpass",
-                        "Content-Disposition": `attachment; filename="${filename}"`,
-                        "Last-Modified": new Date().toUTCString(),
+                        "Content-Disposition": 'attachment; filename="GetCard.pkpass"',
+                        "Last-Modified": new Date(recorded ? recorded.lastUpdated : Date.now()).toUTCString(),
                     },
                 });
             }
@@ -315,8 +937,15 @@ export default {
                     request
                 ))
             ) {
+                const limited = await rateLimited(env, [{ name: "walletPerIp", id: ip }]);
+                if (limited) return limited;
+
                 if (!(await verifyAppleAuth(request, env, params.passTypeId, params.serialNumber))) return json({ message: "Unauthorized" }, 401);
 
+                // Counted only once authenticated, so nobody else can use up a pass's limit
+                const serialLimited = await rateLimited(env, [{ name: "registrationPerSerial", id: params.serialNumber }]);
+                if (serialLimited) return serialLimited;
+
                 const body = await request.json();
                 if (!body.pushToken) return json({ message: "pushToken required" }, 400);
 
@@ -352,6 +981,9 @@ export default {
                     request
                 ))
             ) {
+                const limited = await rateLimited(env, [{ name: "walletPerIp", id: ip }]);
+                if (limited) return limited;
+
                 const passesUpdatedSince =
                     new URL(request.url).searchParams.get("passesUpdatedSince") || null;
 
@@ -380,9 +1012,15 @@ export default {
                     request
                 ))
             ) {
+                const limited = await rateLimited(env, [{ name: "walletPerIp", id: ip }]);
+                if (limited) return limited;
+
                 if (!(await verifyAppleAuth(request, env, params.passTypeId, params.serialNumber))) return json({ message: "Unauthorized" }, 401);
 
-                console.log(`[Update] Generating fresh pass for serial=${params.serialNumber}`);
+                const serialLimited = await rateLimited(env, [{ name: "passUpdatePerSerial", id: params.serialNumber }]);
+                if (serialLimited) return serialLimited;
+
+                console.log(`[Update] Checking for a fresh pass for serial=${params.serialNumber}`);
 
                 // Reuse existing auth token for pass updates
                 const convex = getConvexClient(env);
@@ -391,30 +1029,40 @@ export default {
                     serialNumber: params.serialNumber,
                 });
 
-                // Retrieve the stored CBORD credentials for this pass
-                const credentials = await convex.getPassCredentials({
+                // Retrieve and decrypt the stored CBORD credentials for this pass
+                const credentials = await loadPassCredentials(env, {
                     passTypeIdentifier: params.passTypeId,
                     serialNumber: params.serialNumber,
                 });
 
-                if (!credentials || !credentials.cbordDeviceId || !credentials.cbordPin) {
-                    console.error(`[Update] No CBORD credentials found for serial=${params.serialNumber}`);
-                    return json({ error: "No CBORD credentials stored for this pass" }, 500);
-                }
-
-                const { passBuffer } = await buildPassBuffer(env, request, credentials.cbordDeviceId, credentials.cbordPin, existingToken);
-
-                // Touch the pass in Convex to track when it was last served
-                await convex.touchPass({
+                const { contentHash, sign } = await loadStoredPass(env, request, {
                     passTypeIdentifier: params.passTypeId,
                     serialNumber: params.serialNumber,
+                    authenticationToken: existingToken,
+                    credentials,
                 });
 
+                // Record what was fetched; lastUpdated only moves if the content changed
+                const [recorded] = await convex.recordContentHashes(
+                    [{ passTypeIdentifier: params.passTypeId, serialNumber: params.serialNumber, contentHash }],
+                    { fetched: true }
+                );
+                const lastModified = recorded ? recorded.lastUpdated : Date.now();
+
+                if (isNotModified(request, lastModified)) {
+                    return new Response(null, {
+                        status: 304,
+                        headers: { "Last-Modified": new Date(lastModified).toUTCString() },
+                    });
+                }
+
+                const passBuffer = await sign();
+
                 return new Response(passBuffer, {
                     headers: {
                         "Content-Type": "application/vnd.apple.pkpass",
                         "Content-Disposition": `attachment; filename="${params.serialNumber}.pkpass"`,
-                        "Last-Modified": new Date().toUTCString(),
+                        "Last-Modified": new Date(lastModified).toUTCString(),
                     },
                 });
             }
@@ -427,8 +1075,14 @@ export default {
                     request
                 ))
             ) {
+                const limited = await rateLimited(env, [{ name: "walletPerIp", id: ip }]);
+                if (limited) return limited;
+
                 if (!(await verifyAppleAuth(request, env, params.passTypeId, params.serialNumber))) return json({ message: "Unauthorized" }, 401);
 
+                const serialLimited = await rateLimited(env, [{ name: "registrationPerSerial", id: params.serialNumber }]);
+                if (serialLimited) return serialLimited;
+
                 const convex = getConvexClient(env);
                 const result = await convex.unregisterDevice({
                     deviceLibraryIdentifier: params.deviceLibId,
@@ -446,18 +1100,307 @@ export default {
 
             // ── Apple Wallet: log endpoint ──
             if (request.method === "POST" && url.pathname === "/v1/log") {
-                const body = await request.json();
-                if (body.logs && Array.isArray(body.logs)) {
-                    body.logs.forEach((log) => console.log("[Apple Wallet Log]", log));
+                const limited = await rateLimited(env, [{ name: "logPerIp", id: ip }]);
+                if (limited) return limited;
+
+                const text = await readLimitedText(request, MAX_LOG_BODY_BYTES);
+                if (text === null) return json({ error: "Log body too large" }, 413);
+
+                let body;
+                try {
+                    body = JSON.parse(text);
+                } catch {
+                    return json({ error: "Invalid JSON" }, 400);
+                }
+                if (body && Array.isArray(body.logs) && body.logs.length > 0) {
+                    const entries = body.logs
+                        .slice(0, MAX_LOG_ENTRIES)
+                        .map((log) => String(log).slice(0, MAX_LOG_ENTRY_LENGTH));
+                    entries.forEach((entry) => console.log("[Apple Wallet Log]", entry));
+
+                    // Wallet doesn't retry logs, so a Convex failure only costs the stored copy
+                    try {
+                        await getConvexClient(env).recordDeviceLogs({ entries });
+                    } catch (err) {
+                        console.error("[Apple Wallet Log] Failed to store logs:", err);
+                    }
                 }
                 return new Response(null, { status: 200 });
             }
 
+            // ── Re-link: log in again for a pass whose credentials stopped working ──
+            if (request.method === "GET" && url.pathname === "/relink") {
+                const limited = await rateLimited(env, [{ name: "pagePerIp", id: ip }], { page: true });
+                if (limited) return limited;
+
+                const relinkToken = url.searchParams.get("token");
+                const convex = getConvexClient(env);
+                const pass = relinkToken ? await convex.getRelinkPass({ relinkToken }) : null;
+                if (!pass) {
+                    return html(expiredRelinkPage(), 404);
+                }
+                return html(relinkPage(relinkToken));
+            }
+
+            // ── Re-link: bind a new GET session to the pass ──
+            if (request.method === "POST" && url.pathname === "/relink/complete") {
+                const ipLimited = await rateLimited(env, [{ name: "signUpPerIp", id: ip }], { page: true });
+                if (ipLimited) return ipLimited;
+
+                const form = await request.formData();
+                const relinkToken = form.get("token");
+                const sessionId = form.get("sessionId");
+                if (!relinkToken || !sessionId) {
+                    return html(messagePage("Something's missing", "Open the link on the back of your pass and log in again."), 400);
+                }
+
+                const convex = getConvexClient(env);
+                const pass = await convex.getRelinkPass({ relinkToken });
+                if (!pass) {
+                    return html(expiredRelinkPage(), 404);
+                }
+
+                const serialLimited = await rateLimited(env, [{ name: "relinkPerSerial", id: pass.serialNumber }], { page: true });
+                if (serialLimited) return serialLimited;
+
+                let result;
+                try {
+                    result = await relinkPassCredentials(env, sessionId, relinkToken, pass);
+                } catch (err) {
+                    console.error(`[Relink] Failed for serial=${pass.serialNumber}:`, err);
+                    return loginErrorPage(err, "Couldn't re-link your pass", "Open the link on the back of your pass and try again.");
+                }
+                if (result === "wrongPatron") {
+                    console.warn(`[Relink] Refused a different GET account for serial=${pass.serialNumber}`);
+                    return html(messagePage("This pass belongs to another GET account", "Log in with the GET account the pass was issued to."), 403);
+                }
+                if (result === "expired") return html(expiredRelinkPage(), 404);
+
+                console.log(`[Relink] Re-linked serial=${pass.serialNumber}`);
+                return html(messagePage("Your pass is re-linked", "Your GET Card in Wallet will refresh on its own within a minute. You can close this page."));
+            }
+
+            // ── Manage: devices and credentials for one pass ──
+            if (request.method === "GET" && url.pathname === "/manage") {
+                const limited = await rateLimited(env, [{ name: "pagePerIp", id: ip }], { page: true });
+                if (limited) return limited;
+
+                const token = url.searchParams.get("token");
+                if (!token) return html(manageLoginPage());
+
+                const convex = getConvexClient(env);
+                const pass = await convex.getManagedPass({ manageToken: token });
+                if (!pass) return html(expiredManagePage(), 404, MANAGE_PAGE_HEADERS);
+                return html(managePage(token, pass), 200, MANAGE_PAGE_HEADERS);
+            }
+
+            // ── Manage: find the pass with a GET login instead of the link on the pass ──
+            if (request.method === "POST" && url.pathname === "/manage/login") {
+                const limited = await rateLimited(env, [{ name: "signUpPerIp", id: ip }], { page: true });
+                if (limited) return limited;
+
+                const form = await request.formData();
+                const sessionId = form.get("sessionId");
+                if (!sessionId) {
+                    return html(messagePage("Something's missing", "Go back, log in with UCSC and paste the validated link."), 400);
+                }
+
+                let manageToken;
+                try {
+                    const { pass } = await findPatronPass(env, sessionId);
+                    if (!pass) {
+                        return html(messagePage("No pass yet", "This GET account doesn't have a pass. Go to the start page to create one."), 404);
+                    }
+                    const convex = getConvexClient(env);
+                    manageToken = await convex.ensureManageToken({ ...pass, manageToken: crypto.randomUUID() });
+                } catch (err) {
+                    console.error("[Manage] Login failed:", err);
+                    return loginErrorPage(err, "Couldn't find your pass", "Go back, log in with UCSC again and paste the new link.");
+                }
+                return seeOther(`/manage?token=${encodeURIComponent(manageToken)}`);
+            }
+
+            // ── Manage: download the pass again ──
+            if (request.method === "POST" && url.pathname === "/manage/download") {
+                const limited = await rateLimited(env, [{ name: "pagePerIp", id: ip }], { page: true });
+                if (limited) return limited;
+
+                const { pass } = await readManageForm(env, request);
+                if (!pass) return html(expiredManagePage(), 404);
+
+                const token = await createDownloadToken(env, pass);
+                return seeOther(`/pass?token=${token}`);
+            }
+
+            // ── Manage: stop sending updates to one device ──
+            if (request.method === "POST" && url.pathname === "/manage/unregister") {
+                const limited = await rateLimited(env, [{ name: "pagePerIp", id: ip }], { page: true });
+                if (limited) return limited;
+
+                const { form, token, pass } = await readManageForm(env, request);
+                if (!pass) return html(expiredManagePage(), 404);
+
+                const convex = getConvexClient(env);
+                const result = await convex.unregisterManagedDevice({
+                    manageToken: token,
+                    registrationId: String(form.get("registrationId") || ""),
+                });
+                console.log(`[Manage] Unregister serial=${pass.serialNumber} deleted=${result.deleted}`);
+                return seeOther(`/manage?token=${encodeURIComponent(token)}`);
+            }
+
+            // ── Manage: how often the pass updates ──
+            if (request.method === "POST" && url.pathname === "/manage/preferences") {
+                const limited = await rateLimited(env, [{ name: "pagePerIp", id: ip }], { page: true });
+                if (limited) return limited;
+
+                const { form, token, pass } = await readManageForm(env, request);
+                if (!pass) return html(expiredManagePage(), 404);
+
+                const preferences = {
+                    frequency: String(form.get("frequency") || "auto"),
+                    // Blank time fields mean no quiet hours (undefined is left out of the JSON)
+                    quietStart: form.get("quietStart") || undefined,
+                    quietEnd: form.get("quietEnd") || undefined,
+                    paused: form.get("paused") === "on",
+                };
+
+                const convex = getConvexClient(env);
+                const result = await convex.updateManagedPreferences({ manageToken: token, preferences });
+                if (result.error) {
+                    return html(messagePage("Couldn't save your settings", result.error), 400, MANAGE_PAGE_HEADERS);
+                }
+                if (!result.updated) return html(expiredManagePage(), 404);
+
+                console.log(`[Manage] Preferences serial=${pass.serialNumber} frequency=${preferences.frequency} paused=${preferences.paused}`);
+                return seeOther(`/manage?token=${encodeURIComponent(token)}#updates`);
+            }
+
+            // ── Manage: replace the pass's CBORD PIN ──
+            if (request.method === "POST" && url.pathname === "/manage/rotate-pin") {
+                const ipLimited = await rateLimited(env, [{ name: "signUpPerIp", id: ip }], { page: true });
+                if (ipLimited) return ipLimited;
+
+                const { pass } = await readManageForm(env, request);
+                if (!pass) return html(expiredManagePage(), 404);
+
+                const serialLimited = await rateLimited(env, [{ name: "rotatePinPerSerial", id: pass.serialNumber }], { page: true });
+                if (serialLimited) return serialLimited;
+
+                let rotated;
+                try {
+                    rotated = await rotatePassCredentials(env, pass);
+                } catch (err) {
+                    if (!(err instanceof GETAuthError)) {
+                        console.error(`[Manage] PIN rotation failed for serial=${pass.serialNumber}:`, err);
+                        return loginErrorPage(err, "Couldn't get a new PIN", "Your current PIN still works. Try again in a few minutes.");
+                    }
+                    rotated = false;
+                }
+                if (!rotated) {
+                    // No working login to make a new PIN with: log in again instead
+                    const relinkToken = await markRelinkNeeded(env, pass);
+                    if (!relinkToken) return html(expiredManagePage(), 404);
+                    return seeOther(`/relink?token=${encodeURIComponent(relinkToken)}`);
+                }
+
+                return html(messagePage("You have a new PIN", "Your pass now uses a new PIN and the old one is deleted. Nothing changes in Wallet."));
+            }
+
+            // ── Manage: confirm deleting the pass (linked from the back of the pass) ──
+            if (request.method === "GET" && url.pathname === "/manage/delete") {
+                const limited = await rateLimited(env, [{ name: "pagePerIp", id: ip }], { page: true });
+                if (limited) return limited;
+
+                const token = url.searchParams.get("token");
+                const convex = getConvexClient(env);
+                const pass = token ? await convex.getManagedPass({ manageToken: token }) : null;
+                if (!pass) return html(expiredManagePage(), 404, MANAGE_PAGE_HEADERS);
+                return html(deleteConfirmPage(token), 200, MANAGE_PAGE_HEADERS);
+            }
+
+            // ── Manage: revoke the PIN and delete everything stored for the pass ──
+            if (request.method === "POST" && url.pathname === "/manage/delete") {
+                const limited = await rateLimited(env, [{ name: "pagePerIp", id: ip }], { page: true });
+                if (limited) return limited;
+
+                const { token, pass } = await readManageForm(env, request);
+                if (!pass) return html(expiredManagePage(), 404);
+
+                const { revoked, receipt } = await purgePass(env, token, pass);
+                if (!revoked) {
+                    return html(messagePage("Couldn't delete your pass", "GET is having trouble right now, so nothing was deleted. Try again in a few minutes."), 503);
+                }
+                if (!receipt) {
+                    return html(messagePage("Your pass is already deleted", "It was deleted from another tab or device. Remove it from Wallet if it's still there."), 200, MANAGE_PAGE_HEADERS);
+                }
+                return html(deletionReceiptPage(receipt), 200, MANAGE_PAGE_HEADERS);
+            }
+
+            // ── Internal: change detection (called by the Convex cron) ──
+            if (request.method === "POST" && url.pathname === "/internal/refreshPasses") {
+                if (!verifyInternalAuth(request, env)) return json({ error: "Unauthorized" }, 401);
+
+                const body = await request.json();
+                const passes = Array.isArray(body.passes) ? body.passes : [];
+                const results = await Promise.all(passes.map((p) => refreshPassContent(env, p)));
+
+                return json({ results });
+            }
+
+            // ── Internal: revoke an orphaned pass's PIN (scheduled by Convex) ──
+            if (request.method === "POST" && url.pathname === "/internal/revokeCredentials") {
+                if (!verifyInternalAuth(request, env)) return json({ error: "Unauthorized" }, 401);
+
+                const body = await request.json();
+                if (!body.passTypeIdentifier || !body.serialNumber) {
+                    return json({ error: "passTypeIdentifier and serialNumber are required" }, 400);
+                }
+
+                return json(await revokePassCredentials(env, body));
+            }
+
+            // ── Internal: re-encrypt stored credentials (credentials:rotateCredentials) ──
+            if (request.method === "POST" && url.pathname === "/internal/rewrapCredentials") {
+                if (!verifyInternalAuth(request, env)) return json({ error: "Unauthorized" }, 401);
+
+                const body = await request.json();
+                const passes = Array.isArray(body.passes) ? body.passes : [];
+                const updates = [];
+                for (const pass of passes) {
+                    const credentials = await rewrapStoredCredentials(env, pass);
+                    if (credentials) updates.push({ passId: pass.passId, credentials });
+                }
+
+                return json({ updates });
+            }
+
+            // ── Internal: retire deviceId serials (credentials:reissueLegacyCredentials) ──
+            if (request.method === "POST" && url.pathname === "/internal/reissueLegacyCredentials") {
+                if (!verifyInternalAuth(request, env)) return json({ error: "Unauthorized" }, 401);
+
+                const body = await request.json();
+                const passes = Array.isArray(body.passes) ? body.passes : [];
+                let reissued = 0;
+                let failed = 0;
+                for (const pass of passes) {
+                    try {
+                        if (await reissueLegacyCredentials(env, pass)) reissued++;
+                    } catch (err) {
+                        // Rejected credentials are left to the re-link flow
+                        console.error(`[Reissue] Failed for pass ${pass.passId}:`, err);
+                        failed++;
+                    }
+                }
+
+                return json({ reissued, failed });
+            }
+
             // ── 404 ──
             return json({ error: "Not found" }, 404);
         } catch (err) {
             console.error("Worker error:", err);
-            return json({ error: err.message }, 500);
+            return errorResponse(err);
         }
     },
 };